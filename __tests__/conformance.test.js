@@ -0,0 +1,271 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { createTestTimers, FakeClock } from '../src/testing.js';
+
+// Checks the overridden globals against the timer initialization steps of the HTML spec:
+// https://html.spec.whatwg.org/multipage/timers-and-user-prompts.html#timers
+describe('WHATWG conformance of the overridden globals', () => {
+  let timers;
+
+  const start = (options = {}) => {
+    timers = createTestTimers(options, new FakeClock(0));
+    return timers;
+  };
+
+  afterEach(() => {
+    if (timers) {
+      timers.destroy();
+      timers = null;
+    }
+    delete window.conformanceCalls;
+  });
+
+  describe('delay conversion', () => {
+    test.each([
+      [undefined, 0],
+      [null, 0],
+      [12.9, 12],
+      [-5, 0],
+      ['1e3', 1000],
+      [1e3, 1000],
+      [' 42 ', 42],
+      ['100px', 0],
+      [true, 1],
+      [[5], 5],
+      [{ valueOf: () => 7 }, 7],
+      [NaN, 0],
+      [Infinity, 0],
+      [-Infinity, 0],
+      [2 ** 31 - 1, 2 ** 31 - 1],
+      [2 ** 31, 0],
+      [2 ** 32 + 5, 5],
+    ])('converts a timeout of %p to %p milliseconds', (timeout, expected) => {
+      start();
+      window.setTimeout(() => {}, timeout);
+      window.setInterval(() => {}, timeout);
+
+      expect(timers.getActiveTimers().map((timer) => timer.delay)).toEqual([expected, expected]);
+    });
+
+    test('fires a timeout of 1e3 after a second', () => {
+      start();
+      const callback = jest.fn();
+      window.setTimeout(callback, 1e3);
+
+      timers.clock.advanceBy(999);
+      expect(callback).not.toHaveBeenCalled();
+      timers.clock.advanceBy(1);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([[Symbol('delay')], [10n]])('throws a TypeError for a timeout of %p', (timeout) => {
+      start();
+      expect(() => window.setTimeout(() => {}, timeout)).toThrow(TypeError);
+      expect(timers.getActiveTimers()).toEqual([]);
+    });
+
+    test('still applies minDelay after conversion', () => {
+      start({ minDelay: 20 });
+      window.setTimeout(() => {}, '1e1');
+
+      expect(timers.getActiveTimers()[0].delay).toBe(20);
+    });
+
+    test('leaves the instance API parsing delays as before', () => {
+      start();
+      timers.setTimeout(() => {}, '1e3');
+
+      expect(timers.getActiveTimers()[0].delay).toBe(1);
+    });
+  });
+
+  describe('handlers', () => {
+    test('calls function handlers with the global object as this and the extra arguments', () => {
+      start();
+      const calls = [];
+      window.setTimeout(
+        function (...args) {
+          calls.push({ self: this, args });
+        },
+        10,
+        'a',
+        'b'
+      );
+
+      timers.clock.advanceBy(10);
+
+      expect(calls).toEqual([{ self: window, args: ['a', 'b'] }]);
+    });
+
+    test('rejects string handlers unless stringHandlers is on', () => {
+      start();
+      expect(() => window.setTimeout('window.conformanceCalls = 1', 10)).toThrow(/stringHandlers/);
+      expect(() => window.setInterval('window.conformanceCalls = 1', 10)).toThrow(TypeError);
+    });
+
+    test('runs string handlers in global scope when stringHandlers is on', () => {
+      start({ stringHandlers: true });
+      const local = 'not visible';
+      window.setTimeout('window.conformanceCalls = [typeof local, this === window]', 10, 'ignored');
+
+      timers.clock.advanceBy(10);
+
+      expect(local).toBe('not visible');
+      expect(window.conformanceCalls).toEqual(['undefined', true]);
+    });
+
+    test('converts other handlers to strings when stringHandlers is on', () => {
+      start({ stringHandlers: true });
+      window.setInterval({ toString: () => 'window.conformanceCalls = (window.conformanceCalls || 0) + 1' }, 10);
+
+      timers.clock.advanceBy(30);
+
+      expect(window.conformanceCalls).toBe(3);
+    });
+
+    test('reports errors thrown by string handlers like any callback error', () => {
+      const onError = jest.fn();
+      start({ stringHandlers: true, onError });
+      window.setTimeout('throw new RangeError("from string")', 10);
+
+      timers.clock.advanceBy(10);
+
+      expect(onError).toHaveBeenCalledWith(expect.any(RangeError), expect.objectContaining({ source: 'callback' }));
+    });
+  });
+
+  describe('nested timeouts', () => {
+    test('clamps timeouts nested more than five levels deep to 4ms', () => {
+      start();
+      const times = [];
+      const step = () => {
+        times.push(timers.clock.now());
+        if (times.length < 10) {
+          window.setTimeout(step, 0);
+        }
+      };
+      window.setTimeout(step, 0);
+
+      timers.clock.advanceBy(100);
+
+      expect(times).toEqual([0, 0, 0, 0, 0, 0, 4, 8, 12, 16]);
+    });
+
+    test('does not clamp timeouts scheduled outside timer callbacks or through the instance API', () => {
+      start();
+      const times = [];
+      const step = () => {
+        times.push(timers.clock.now());
+        if (times.length < 8) {
+          timers.setTimeout(step, 0);
+        }
+      };
+      timers.setTimeout(step, 0);
+      timers.clock.advanceBy(0);
+      window.setTimeout(() => times.push('global'), 0);
+      timers.clock.advanceBy(0);
+
+      expect(times).toEqual([0, 0, 0, 0, 0, 0, 0, 0, 'global']);
+    });
+
+    test('clamps a short interval once it has repeated more than five times', () => {
+      start();
+      const times = [];
+      const id = window.setInterval(() => {
+        times.push(timers.clock.now());
+        if (times.length === 9) {
+          window.clearInterval(id);
+        }
+      }, 1);
+
+      timers.clock.advanceBy(100);
+
+      expect(times).toEqual([1, 2, 3, 4, 5, 6, 10, 14, 18]);
+    });
+
+    test('leaves delays of 4ms and more alone', () => {
+      start();
+      const times = [];
+      const step = () => {
+        times.push(timers.clock.now());
+        if (times.length < 8) {
+          window.setTimeout(step, 5);
+        }
+      };
+      window.setTimeout(step, 5);
+
+      timers.clock.advanceBy(100);
+
+      expect(times).toEqual([5, 10, 15, 20, 25, 30, 35, 40]);
+    });
+  });
+
+  describe('timer IDs', () => {
+    test('hands out positive IDs above the range native timers use', () => {
+      start();
+      const ids = [window.setTimeout(() => {}, 10), window.setInterval(() => {}, 10), timers.setTimeout(() => {}, 10)];
+
+      for (const id of ids) {
+        expect(Number.isInteger(id)).toBe(true);
+        expect(id).toBeGreaterThanOrEqual(2 ** 30);
+        expect(id).toBeLessThanOrEqual(2 ** 31 - 1);
+      }
+      expect(new Set(ids).size).toBe(3);
+    });
+
+    test('wraps around without reusing the IDs of live timers', () => {
+      start();
+      const first = window.setTimeout(() => {}, 10);
+      timers.idCounter = 2 ** 31 - 2;
+
+      const last = window.setTimeout(() => {}, 10);
+      const wrapped = window.setTimeout(() => {}, 10);
+
+      expect(last).toBe(2 ** 31 - 1);
+      expect(first).toBe(2 ** 30);
+      expect(wrapped).toBe(2 ** 30 + 1);
+    });
+
+    test('clears native timers through the overridden clear functions without touching its own', async () => {
+      start();
+      const nativeCallback = jest.fn();
+      const callback = jest.fn();
+      const nativeId = timers.native.setTimeout(nativeCallback, 0);
+      window.setTimeout(callback, 10);
+
+      window.clearTimeout(nativeId);
+      await new Promise((resolve) => timers.native.setTimeout(resolve, 20));
+      timers.clock.advanceBy(10);
+
+      expect(nativeCallback).not.toHaveBeenCalled();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('converts the ID passed to the clear functions like a WebIDL long', () => {
+      start();
+      const callback = jest.fn();
+      const timeout = window.setTimeout(callback, 10);
+      const interval = window.setInterval(callback, 10);
+
+      window.clearTimeout(String(timeout));
+      window.clearInterval({ valueOf: () => interval });
+      window.clearTimeout();
+      timers.clock.advanceBy(50);
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('lets clearTimeout and clearInterval clear either kind of timer', () => {
+      start();
+      const callback = jest.fn();
+      window.clearTimeout(window.setInterval(callback, 10));
+      window.clearInterval(window.setTimeout(callback, 10));
+
+      timers.clock.advanceBy(50);
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,7 +2,28 @@
  * @jest-environment jsdom
  */
 
-import { initTabSafeTimers, destroyTabSafeTimers, getTabSafeTimers } from '../src/index.js';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { initTabSafeTimers, destroyTabSafeTimers, getTabSafeTimers, TabSafeTimers, WORKER_CODE } from '../src/index.js';
+
+/**
+ * Run the embedded worker script against Jest's fake timers
+ * @param {() => number} [offset] - Extra milliseconds added to the worker clock, to simulate jitter
+ */
+function startWorker(offset = () => 0) {
+  const scope = {
+    postMessage: jest.fn(),
+    setTimeout: (...args) => setTimeout(...args),
+    clearTimeout: (id) => clearTimeout(id),
+    setInterval: (...args) => setInterval(...args),
+    clearInterval: (id) => clearInterval(id),
+    performance: { timeOrigin: 0, now: () => Date.now() + offset() },
+    Date,
+  };
+  new Function('self', WORKER_CODE)(scope);
+  scope.send = (data) => scope.onmessage({ data });
+  return scope;
+}
 
 describe('TabSafeTimers', () => {
   let originalSetTimeout;
@@ -314,6 +335,2744 @@ describe('TabSafeTimers', () => {
     });
   });
 
+  describe('Non-invasive mode', () => {
+    test('leaves global timer functions untouched', () => {
+      initTabSafeTimers({ overrideGlobals: false });
+      expect(window.setTimeout).toBe(originalSetTimeout);
+      expect(window.setInterval).toBe(originalSetInterval);
+      expect(window.clearTimeout).toBe(originalClearTimeout);
+      expect(window.clearInterval).toBe(originalClearInterval);
+    });
+
+    test('schedules through the worker via instance methods', () => {
+      const instance = initTabSafeTimers({ overrideGlobals: false });
+      const callback = jest.fn();
+
+      const timeoutId = instance.setTimeout(callback, 250, 'a');
+      const intervalId = instance.setInterval(callback, 500);
+
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setTimeout', id: timeoutId, delay: 250 });
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setInterval', id: intervalId, delay: 500 });
+
+      instance.worker.onmessage({ data: { type: 'tick', id: timeoutId } });
+      expect(callback).toHaveBeenCalledWith('a');
+    });
+
+    test('clears timers via instance methods', () => {
+      const instance = initTabSafeTimers({ overrideGlobals: false });
+      const id = instance.setInterval(jest.fn(), 100);
+
+      expect(instance.clearInterval(id)).toBe(true);
+      expect(instance.callbacks.has(id)).toBe(false);
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'clearInterval', id });
+      expect(instance.clearInterval(id)).toBe(false);
+    });
+
+    test('does not restore globals on destroy', () => {
+      initTabSafeTimers({ overrideGlobals: false });
+      const patched = jest.fn();
+      window.setTimeout = patched;
+      destroyTabSafeTimers();
+      expect(window.setTimeout).toBe(patched);
+    });
+
+    test('instance methods throw after destroy', () => {
+      const instance = initTabSafeTimers({ overrideGlobals: false });
+      destroyTabSafeTimers();
+      expect(() => instance.setTimeout(jest.fn(), 100)).toThrow('[TabSafeTimers] Not initialized');
+    });
+  });
+
+  describe('Options', () => {
+    test('overrides only the selected globals', () => {
+      initTabSafeTimers({ overrideGlobals: ['setInterval', 'clearInterval'] });
+      expect(window.setInterval).not.toBe(originalSetInterval);
+      expect(window.clearInterval).not.toBe(originalClearInterval);
+      expect(window.setTimeout).toBe(originalSetTimeout);
+      expect(window.clearTimeout).toBe(originalClearTimeout);
+    });
+
+    test('routes callback errors to onError', () => {
+      const onError = jest.fn();
+      const instance = initTabSafeTimers({ onError });
+      const error = new Error('boom');
+      const id = instance.setTimeout(() => {
+        throw error;
+      }, 10);
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+
+      expect(onError).toHaveBeenCalledWith(error, { source: 'callback', id, type: 'timeout' });
+    });
+
+    test('routes worker errors to onError', () => {
+      const onError = jest.fn();
+      const instance = initTabSafeTimers({ onError });
+      const error = new Error('Worker error');
+
+      instance.worker.onerror(error);
+
+      expect(onError).toHaveBeenCalledWith(error, { source: 'worker' });
+    });
+
+    test('loads the worker from workerUrl', () => {
+      URL.createObjectURL.mockClear();
+      const instance = initTabSafeTimers({ workerUrl: '/timers-worker.js' });
+      expect(instance.worker.scriptURL).toBe('/timers-worker.js');
+      expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+
+    test('applies minDelay to every delay', () => {
+      const instance = initTabSafeTimers({ minDelay: 10 });
+      const id = instance.setTimeout(jest.fn(), 2);
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setTimeout', id, delay: 10 });
+    });
+
+    test.each([
+      [{ overrideGlobals: 'yes' }, TypeError, /overrideGlobals/],
+      [{ overrideGlobals: ['setImmediate'] }, TypeError, /setImmediate/],
+      [{ onError: 'log' }, TypeError, /onError/],
+      [{ workerUrl: 42 }, TypeError, /workerUrl/],
+      [{ minDelay: -1 }, RangeError, /minDelay/],
+      [{ minDelay: Infinity }, RangeError, /minDelay/],
+      [{ driftCorrection: 'on' }, TypeError, /driftCorrection/],
+      [{ catchUp: 'drop' }, TypeError, /catchUp/],
+      [{ fallback: 'yes' }, TypeError, /fallback/],
+      [{ supervisor: 'on' }, TypeError, /supervisor/],
+      [{ supervisor: { heartbeatInterval: 0 } }, RangeError, /supervisor.heartbeatInterval/],
+      [{ captureStacks: 1 }, TypeError, /captureStacks/],
+      [{ batch: 'on' }, TypeError, /batch/],
+      [{ useWorker: 'never' }, TypeError, /useWorker/],
+      [{ backgroundDelay: -5 }, RangeError, /backgroundDelay/],
+      [{ sharedWorker: 'yes' }, TypeError, /sharedWorker/],
+      [{ sleepThreshold: 0 }, RangeError, /sleepThreshold/],
+      [{ fireOverdueOnWake: 'yes' }, TypeError, /fireOverdueOnWake/],
+      [{ stringHandlers: 1 }, TypeError, /stringHandlers/],
+    ])('rejects invalid options %p', (options, ErrorType, message) => {
+      expect(() => initTabSafeTimers(options)).toThrow(ErrorType);
+      expect(() => initTabSafeTimers(options)).toThrow(message);
+      expect(getTabSafeTimers()).toBe(null);
+    });
+
+    test('validates options at init time rather than construction', () => {
+      const timers = new TabSafeTimers({ minDelay: 'soon' });
+      expect(timers.isInitialized).toBe(false);
+      expect(() => timers.init()).toThrow(RangeError);
+    });
+
+    test('exports the worker source', () => {
+      expect(typeof WORKER_CODE).toBe('string');
+      expect(WORKER_CODE).toContain('self.onmessage');
+    });
+
+    test('ships the current worker source, run npm run build:worker if this fails', () => {
+      const source = readFileSync(join(__dirname, '../src/worker.js'), 'utf8');
+      const body = source.slice(source.indexOf('export function timerWorker(') + 'export '.length).trim();
+
+      expect(WORKER_CODE).toBe(`(${body})(self);\n`);
+    });
+  });
+
+  describe('Drift correction', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('sends driftCorrection with interval commands when enabled', () => {
+      const instance = initTabSafeTimers({ driftCorrection: true });
+      const intervalId = instance.setInterval(jest.fn(), 1000);
+      const timeoutId = instance.setTimeout(jest.fn(), 1000);
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({
+        command: 'setInterval',
+        id: intervalId,
+        delay: 1000,
+        driftCorrection: true,
+      });
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setTimeout', id: timeoutId, delay: 1000 });
+    });
+
+    test('exposes tick timing to callbacks through currentTick', () => {
+      const instance = initTabSafeTimers();
+      let seen = null;
+      const id = instance.setInterval(() => {
+        seen = instance.currentTick;
+      }, 1000);
+
+      instance.worker.onmessage({ data: { type: 'tick', id, scheduledTime: 5000, firedTime: 5012.5 } });
+
+      expect(seen).toEqual({ id, scheduledTime: 5000, firedTime: 5012.5, lateness: 12.5, skipped: 0 });
+      expect(instance.currentTick).toBe(null);
+    });
+
+    test('worker ticks carry scheduled and fired times', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setTimeout', id: 1, delay: 250 });
+      jest.advanceTimersByTime(250);
+
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'tick', id: 1, scheduledTime: 250, firedTime: 250 });
+    });
+
+    test('worker arms each corrected tick against the start time', () => {
+      jest.useFakeTimers({ now: 0 });
+      let jitter = 0;
+      const worker = startWorker(() => jitter);
+
+      worker.send({ command: 'setInterval', id: 1, delay: 1000, driftCorrection: true });
+      jitter = 30;
+      jest.advanceTimersByTime(1000);
+      // The next tick is armed for 970ms so it lands on the 2000ms mark
+      jest.advanceTimersByTime(970);
+
+      expect(worker.postMessage.mock.calls.map(([message]) => message)).toEqual([
+        { type: 'tick', id: 1, scheduledTime: 1000, firedTime: 1030 },
+        { type: 'tick', id: 1, scheduledTime: 2000, firedTime: 2000 },
+      ]);
+    });
+
+    test('worker re-aligns instead of bursting when a period is missed', () => {
+      jest.useFakeTimers({ now: 0 });
+      let jitter = 0;
+      const worker = startWorker(() => jitter);
+
+      worker.send({ command: 'setInterval', id: 1, delay: 1000, driftCorrection: true });
+      jitter = 3500;
+      jest.advanceTimersByTime(1000);
+      jest.advanceTimersByTime(500);
+
+      expect(worker.postMessage.mock.calls.map(([message]) => message)).toEqual([
+        { type: 'tick', id: 1, scheduledTime: 1000, firedTime: 4500 },
+        { type: 'tick', id: 1, scheduledTime: 5000, firedTime: 5000, skipped: 3 },
+      ]);
+    });
+
+    test('worker stops corrected intervals on clearInterval', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setInterval', id: 1, delay: 100, driftCorrection: true });
+      jest.advanceTimersByTime(100);
+      worker.send({ command: 'clearInterval', id: 1 });
+      jest.advanceTimersByTime(1000);
+
+      expect(worker.postMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Missed-tick policy', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('sends the catch-up policy with scheduleInterval', () => {
+      const instance = initTabSafeTimers();
+      const id = instance.scheduleInterval(jest.fn(), 100, { catchUp: 'coalesce', args: [1] });
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({
+        command: 'setInterval',
+        id,
+        delay: 100,
+        catchUp: 'coalesce',
+      });
+    });
+
+    test('uses the global catch-up policy by default', () => {
+      const instance = initTabSafeTimers({ catchUp: 'skip' });
+      const id = instance.setInterval(jest.fn(), 100);
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setInterval', id, delay: 100, catchUp: 'skip' });
+    });
+
+    test('acknowledges non-burst ticks after the callback runs', () => {
+      const instance = initTabSafeTimers();
+      let skipped = null;
+      const id = instance.scheduleInterval(
+        () => {
+          skipped = instance.currentTick.skipped;
+        },
+        100,
+        { catchUp: 'coalesce' }
+      );
+      instance.worker.postMessage.mockClear();
+
+      instance.worker.onmessage({ data: { type: 'tick', id, skipped: 4 } });
+
+      expect(skipped).toBe(4);
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'ack', id });
+    });
+
+    test('does not acknowledge burst ticks or cleared intervals', () => {
+      const instance = initTabSafeTimers();
+      const burstId = instance.setInterval(jest.fn(), 100);
+      const coalesceId = instance.scheduleInterval(() => instance.clearInterval(coalesceId), 100, { catchUp: 'coalesce' });
+      instance.worker.postMessage.mockClear();
+
+      instance.worker.onmessage({ data: { type: 'tick', id: burstId } });
+      instance.worker.onmessage({ data: { type: 'tick', id: coalesceId } });
+
+      expect(instance.worker.postMessage).not.toHaveBeenCalledWith(expect.objectContaining({ command: 'ack' }));
+    });
+
+    test('rejects unknown per-interval policies', () => {
+      const instance = initTabSafeTimers();
+      expect(() => instance.scheduleInterval(jest.fn(), 100, { catchUp: 'later' })).toThrow(TypeError);
+    });
+
+    test('worker bursts every tick by default', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setInterval', id: 1, delay: 100 });
+      jest.advanceTimersByTime(300);
+
+      expect(worker.postMessage).toHaveBeenCalledTimes(3);
+    });
+
+    test('worker coalesces ticks missed before the ack into one run', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setInterval', id: 1, delay: 100, catchUp: 'coalesce' });
+      jest.advanceTimersByTime(400);
+      expect(worker.postMessage).toHaveBeenCalledTimes(1);
+
+      worker.send({ command: 'ack', id: 1 });
+      expect(worker.postMessage).toHaveBeenCalledTimes(2);
+      expect(worker.postMessage).toHaveBeenLastCalledWith({
+        type: 'tick',
+        id: 1,
+        scheduledTime: 400,
+        firedTime: 400,
+        skipped: 2,
+      });
+    });
+
+    test('worker skips ticks missed before the ack and reports them on the next one', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setInterval', id: 1, delay: 100, catchUp: 'skip' });
+      jest.advanceTimersByTime(400);
+      worker.send({ command: 'ack', id: 1 });
+      expect(worker.postMessage).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(100);
+      expect(worker.postMessage).toHaveBeenCalledTimes(2);
+      expect(worker.postMessage).toHaveBeenLastCalledWith({
+        type: 'tick',
+        id: 1,
+        scheduledTime: 500,
+        firedTime: 500,
+        skipped: 3,
+      });
+    });
+  });
+
+  describe('Degraded mode', () => {
+    const RealWorker = global.Worker;
+
+    afterEach(() => {
+      global.Worker = RealWorker;
+      jest.useRealTimers();
+    });
+
+    test('runs on native timers when the worker cannot be created', () => {
+      jest.useFakeTimers();
+      global.Worker = class {
+        constructor() {
+          throw new Error('blocked by CSP');
+        }
+      };
+      const timers = new TabSafeTimers();
+      const onDegraded = jest.fn();
+      timers.on('degraded', onDegraded);
+
+      expect(timers.init()).toBe(true);
+      expect(timers.status).toBe('degraded');
+      expect(onDegraded).toHaveBeenCalledWith({ reason: 'create', error: expect.any(Error) });
+
+      const callback = jest.fn();
+      timers.setTimeout(callback, 100, 'arg');
+      jest.advanceTimersByTime(99);
+      expect(callback).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(callback).toHaveBeenCalledWith('arg');
+      timers.destroy();
+    });
+
+    test('still throws when fallback is disabled', () => {
+      global.Worker = undefined;
+      expect(() => initTabSafeTimers({ fallback: false })).toThrow('Web Workers not supported');
+    });
+
+    test('moves timers to native timers with their remaining delay when the worker crashes', () => {
+      jest.useFakeTimers();
+      jest.spyOn(console, 'error').mockImplementation();
+      const instance = initTabSafeTimers();
+      const onDegraded = jest.fn();
+      instance.on('degraded', onDegraded);
+      const crashedWorker = instance.worker;
+      const timeout = jest.fn();
+      const interval = jest.fn();
+      const timeoutId = instance.setTimeout(timeout, 1000);
+      const intervalId = instance.setInterval(interval, 500);
+
+      jest.advanceTimersByTime(300);
+      crashedWorker.onerror(new Error('crashed'));
+
+      expect(crashedWorker.terminate).toHaveBeenCalled();
+      expect(instance.status).toBe('degraded');
+      expect(onDegraded).toHaveBeenCalledWith({ reason: 'crash', error: expect.any(Error) });
+
+      jest.advanceTimersByTime(199);
+      expect(interval).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(interval).toHaveBeenCalledTimes(1);
+      jest.advanceTimersByTime(500);
+      expect(interval).toHaveBeenCalledTimes(2);
+      expect(timeout).toHaveBeenCalledTimes(1);
+      expect(instance.callbacks.has(timeoutId)).toBe(false);
+
+      instance.clearInterval(intervalId);
+      jest.advanceTimersByTime(5000);
+      expect(interval).toHaveBeenCalledTimes(2);
+      console.error.mockRestore();
+    });
+
+    test('stops native timers on destroy', () => {
+      jest.useFakeTimers();
+      global.Worker = undefined;
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      instance.setInterval(callback, 100);
+
+      destroyTabSafeTimers();
+      jest.advanceTimersByTime(1000);
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(instance.status).toBe('idle');
+    });
+
+    test('unsubscribes event handlers', () => {
+      global.Worker = undefined;
+      const timers = new TabSafeTimers();
+      const handler = jest.fn();
+      const unsubscribe = timers.on('degraded', handler);
+      unsubscribe();
+      timers.init();
+      expect(handler).not.toHaveBeenCalled();
+      timers.destroy();
+    });
+  });
+
+  describe('SharedWorker backend', () => {
+    let created;
+
+    beforeEach(() => {
+      created = [];
+      global.SharedWorker = class {
+        constructor(url, options) {
+          this.url = url;
+          this.options = options;
+          this.onerror = null;
+          this.port = { onmessage: null, postMessage: jest.fn(), start: jest.fn(), close: jest.fn() };
+          created.push(this);
+        }
+      };
+    });
+
+    afterEach(() => {
+      delete global.SharedWorker;
+      jest.useRealTimers();
+    });
+
+    /** Run the embedded worker script as a SharedWorker and connect a port to it */
+    const startSharedWorker = () => {
+      const scope = {
+        onconnect: null,
+        setTimeout: (...args) => setTimeout(...args),
+        clearTimeout: (id) => clearTimeout(id),
+        performance: { timeOrigin: 0, now: () => Date.now() },
+        Date,
+      };
+      new Function('self', WORKER_CODE)(scope);
+      return () => {
+        const port = { postMessage: jest.fn(), onmessage: null };
+        scope.onconnect({ ports: [port] });
+        port.send = (data) => port.onmessage({ data });
+        return port;
+      };
+    };
+
+    test('talks to a SharedWorker through its port', () => {
+      const instance = initTabSafeTimers({ sharedWorker: true, workerUrl: '/timers-worker.js' });
+      const callback = jest.fn();
+      const id = instance.setTimeout(callback, 100);
+      const [sharedWorker] = created;
+
+      expect(instance.workerType).toBe('shared');
+      expect(sharedWorker.url).toBe('/timers-worker.js');
+      expect(sharedWorker.port.postMessage).toHaveBeenCalledWith({ command: 'setTimeout', id, delay: 100 });
+
+      sharedWorker.port.onmessage({ data: { type: 'tick', id } });
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('loads the embedded code from a data URL every tab shares', () => {
+      URL.createObjectURL.mockClear();
+      initTabSafeTimers({ sharedWorker: true });
+      expect(created[0].url).toMatch(/^data:application\/javascript;base64,/);
+      expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+
+    test('drops only its own timers on destroy', () => {
+      const instance = initTabSafeTimers({ sharedWorker: true });
+      const { port } = created[0];
+
+      instance.destroy();
+
+      expect(port.postMessage).toHaveBeenLastCalledWith({ command: 'close' });
+      expect(port.close).toHaveBeenCalledTimes(1);
+    });
+
+    test('says goodbye when the page unloads', () => {
+      initTabSafeTimers({ sharedWorker: true });
+      const { port } = created[0];
+
+      window.dispatchEvent(Object.assign(new Event('pagehide'), { persisted: false }));
+      destroyTabSafeTimers();
+
+      expect(port.postMessage).toHaveBeenCalledWith({ command: 'close' });
+      expect(port.close).toHaveBeenCalledTimes(1);
+    });
+
+    test('falls back to a dedicated worker without SharedWorker support', () => {
+      delete global.SharedWorker;
+      const instance = initTabSafeTimers({ sharedWorker: true });
+      expect(instance.workerType).toBe('dedicated');
+      expect(instance.worker.scriptURL).toBe('blob:mock-url');
+    });
+
+    test('falls back to a dedicated worker when the SharedWorker cannot be created', () => {
+      global.SharedWorker = class {
+        constructor() {
+          throw new Error('blocked');
+        }
+      };
+      const instance = initTabSafeTimers({ sharedWorker: true });
+      expect(instance.workerType).toBe('dedicated');
+    });
+
+    test('worker keeps a separate timer table per port', () => {
+      jest.useFakeTimers({ now: 0 });
+      const connect = startSharedWorker();
+      const first = connect();
+      const second = connect();
+
+      first.send({ command: 'setTimeout', id: 1, delay: 100 });
+      second.send({ command: 'setTimeout', id: 1, delay: 100 });
+      first.send({ command: 'clearTimeout', id: 1 });
+      jest.advanceTimersByTime(100);
+
+      expect(first.postMessage).not.toHaveBeenCalled();
+      expect(second.postMessage).toHaveBeenCalledWith({ type: 'tick', id: 1, scheduledTime: 100, firedTime: 100 });
+    });
+
+    test('worker drops a port\'s timers when it closes', () => {
+      jest.useFakeTimers({ now: 0 });
+      const connect = startSharedWorker();
+      const first = connect();
+      const second = connect();
+
+      first.send({ command: 'setInterval', id: 1, delay: 100 });
+      second.send({ command: 'setInterval', id: 1, delay: 100 });
+      first.send({ command: 'close' });
+      jest.advanceTimersByTime(100);
+
+      expect(first.postMessage).not.toHaveBeenCalled();
+      expect(second.postMessage).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Worker supervisor', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('worker answers heartbeat pings', () => {
+      const worker = startWorker();
+      worker.send({ command: 'ping', seq: 7 });
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'pong', seq: 7 });
+    });
+
+    test('keeps a worker that answers heartbeats', () => {
+      jest.useFakeTimers();
+      const instance = initTabSafeTimers({ supervisor: { heartbeatInterval: 1000, maxMissedHeartbeats: 2 } });
+      const worker = instance.worker;
+      worker.postMessage.mockImplementation(({ command, seq }) => {
+        if (command === 'ping') {
+          worker.onmessage({ data: { type: 'pong', seq } });
+        }
+      });
+
+      jest.advanceTimersByTime(10000);
+
+      expect(instance.worker).toBe(worker);
+      expect(worker.postMessage).toHaveBeenCalledWith({ command: 'ping', seq: 10 });
+    });
+
+    test('restarts an unresponsive worker and re-registers timers with their original ids', () => {
+      jest.useFakeTimers();
+      const instance = initTabSafeTimers({ supervisor: { heartbeatInterval: 1000, maxMissedHeartbeats: 2 } });
+      const onRestart = jest.fn();
+      instance.on('restart', onRestart);
+      const firstWorker = instance.worker;
+      const timeoutId = instance.setTimeout(jest.fn(), 10000);
+      const intervalId = instance.setInterval(jest.fn(), 5000);
+
+      jest.advanceTimersByTime(3000);
+
+      expect(instance.worker).not.toBe(firstWorker);
+      expect(firstWorker.terminate).toHaveBeenCalled();
+      expect(instance.restarts).toBe(1);
+      expect(onRestart).toHaveBeenCalledWith({ reason: 'unresponsive', error: expect.any(Error), restarts: 1 });
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setTimeout', id: timeoutId, delay: 7000 });
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({
+        command: 'setInterval',
+        id: intervalId,
+        delay: 5000,
+        firstDelay: 2000,
+      });
+
+      // Ticks from the new worker reach the original callbacks
+      instance.worker.onmessage({ data: { type: 'tick', id: intervalId } });
+      expect(instance.callbacks.get(intervalId).callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('restarts on worker errors and degrades after maxRestarts', () => {
+      jest.useFakeTimers();
+      jest.spyOn(console, 'error').mockImplementation();
+      const instance = initTabSafeTimers({ supervisor: { maxRestarts: 1 } });
+      const onDegraded = jest.fn();
+      instance.on('degraded', onDegraded);
+
+      instance.worker.onerror(new Error('first'));
+      expect(instance.status).toBe('worker');
+      expect(instance.restarts).toBe(1);
+
+      instance.worker.onerror(new Error('second'));
+      expect(instance.status).toBe('degraded');
+      expect(onDegraded).toHaveBeenCalledWith({ reason: 'crash', error: expect.any(Error) });
+      console.error.mockRestore();
+    });
+
+    test('stops supervising without falling back when fallback is disabled', () => {
+      jest.useFakeTimers();
+      const onError = jest.fn();
+      const instance = initTabSafeTimers({
+        fallback: false,
+        onError,
+        supervisor: { heartbeatInterval: 1000, maxMissedHeartbeats: 1, maxRestarts: 0 },
+      });
+      const worker = instance.worker;
+
+      jest.advanceTimersByTime(5000);
+
+      expect(instance.worker).toBe(worker);
+      expect(instance.status).toBe('worker');
+      expect(instance.heartbeat).toBe(null);
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), { source: 'worker' });
+    });
+  });
+
+  describe('Frame loop', () => {
+    let visibilityState;
+
+    beforeEach(() => {
+      visibilityState = 'visible';
+      Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibilityState });
+    });
+
+    afterEach(() => {
+      delete document.visibilityState;
+      jest.useRealTimers();
+    });
+
+    const setVisibility = (state) => {
+      visibilityState = state;
+      document.dispatchEvent(new Event('visibilitychange'));
+    };
+
+    test('runs on animation frames while visible', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+
+      instance.startLoop(callback);
+      jest.advanceTimersByTime(16 * 3);
+
+      expect(callback).toHaveBeenCalledTimes(3);
+      expect(callback).toHaveBeenNthCalledWith(1, 16, 1);
+      expect(callback).toHaveBeenNthCalledWith(3, 16, 3);
+      expect(instance.worker.postMessage).not.toHaveBeenCalledWith(expect.objectContaining({ command: 'setInterval' }));
+    });
+
+    test('throttles animation frames to the requested fps', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+
+      instance.startLoop(callback, { fps: 30 });
+      jest.advanceTimersByTime(16 * 6);
+
+      expect(callback).toHaveBeenCalledTimes(3);
+      expect(callback).toHaveBeenNthCalledWith(1, 32, 1);
+    });
+
+    test('switches to worker ticks while hidden and back on visibilitychange', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+
+      instance.startLoop(callback, { fps: 10 });
+      jest.advanceTimersByTime(100);
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      setVisibility('hidden');
+      const setIntervalCall = instance.worker.postMessage.mock.calls.find(([message]) => message.command === 'setInterval');
+      expect(setIntervalCall[0]).toEqual(
+        expect.objectContaining({ delay: 100, driftCorrection: true, catchUp: 'coalesce' })
+      );
+      const timerId = setIntervalCall[0].id;
+
+      // Animation frames no longer drive the loop
+      jest.advanceTimersByTime(250);
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      instance.worker.onmessage({ data: { type: 'tick', id: timerId } });
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenLastCalledWith(expect.any(Number), 2);
+      expect(callback.mock.calls[1][0]).toBeGreaterThanOrEqual(250);
+
+      setVisibility('visible');
+      expect(instance.callbacks.has(timerId)).toBe(false);
+      jest.advanceTimersByTime(112);
+      expect(callback).toHaveBeenCalledTimes(3);
+      expect(callback).toHaveBeenLastCalledWith(expect.any(Number), 3);
+    });
+
+    test('stops a loop and reports unknown ids', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      const id = instance.startLoop(callback);
+
+      expect(instance.stopLoop(id)).toBe(true);
+      jest.advanceTimersByTime(100);
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(instance.stopLoop(id)).toBe(false);
+    });
+
+    test('stops a loop from inside its callback', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn(() => instance.stopLoop(id));
+      const id = instance.startLoop(callback);
+
+      jest.advanceTimersByTime(100);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('stops loops on destroy', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      instance.startLoop(callback);
+
+      destroyTabSafeTimers();
+      jest.advanceTimersByTime(100);
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(instance.loops.size).toBe(0);
+    });
+
+    test('validates fps', () => {
+      const instance = initTabSafeTimers();
+      expect(() => instance.startLoop(jest.fn(), { fps: 0 })).toThrow(RangeError);
+    });
+  });
+
+  describe('Visibility policies', () => {
+    let visibilityState;
+
+    beforeEach(() => {
+      visibilityState = 'visible';
+      Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibilityState });
+    });
+
+    afterEach(() => {
+      delete document.visibilityState;
+      jest.useRealTimers();
+    });
+
+    const setVisibility = (state) => {
+      visibilityState = state;
+      document.dispatchEvent(new Event('visibilitychange'));
+    };
+
+    test('runs whenHidden timers on native timers while visible', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+
+      instance.scheduleTimeout(callback, 100, { useWorker: 'whenHidden' });
+      expect(instance.worker.postMessage).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(100);
+      await Promise.resolve();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('moves timers to the worker while hidden, keeping the ID and remaining time', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers({ useWorker: 'whenHidden' });
+      const callback = jest.fn();
+      const id = instance.setTimeout(callback, 1000);
+      jest.advanceTimersByTime(400);
+
+      setVisibility('hidden');
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setTimeout', id, delay: 600 });
+      jest.advanceTimersByTime(1000);
+      await Promise.resolve();
+      expect(callback).not.toHaveBeenCalled();
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('moves timers back to native timers when visible again', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      visibilityState = 'hidden';
+      const id = instance.scheduleInterval(callback, 100, { useWorker: 'whenHidden' });
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setInterval', id, delay: 100 });
+      jest.advanceTimersByTime(30);
+
+      setVisibility('visible');
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'clearTimeout', id });
+      jest.advanceTimersByTime(70);
+      await Promise.resolve();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores ticks from the backend a timer moved away from', () => {
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      const id = instance.scheduleTimeout(callback, 100, { useWorker: 'whenHidden' });
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(instance.callbacks.has(id)).toBe(true);
+    });
+
+    test('slows intervals to backgroundDelay while hidden', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const id = instance.scheduleInterval(jest.fn(), 1000, { backgroundDelay: 60000 });
+
+      setVisibility('hidden');
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'reschedule', id, delay: 60000 });
+      expect(instance.getActiveTimers()[0]).toMatchObject({ delay: 1000, nextFireAt: 60000 });
+
+      setVisibility('visible');
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'reschedule', id, delay: 1000 });
+    });
+
+    test('keeps hidden frame loops and interval iterators at their own rate', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers({ backgroundDelay: 60000, useWorker: 'whenHidden' });
+      const frame = jest.fn();
+      instance.startLoop(frame, { fps: 30 });
+      setVisibility('hidden');
+      const loopCommand = instance.worker.postMessage.mock.calls.at(-1)[0];
+      instance.interval(500).next();
+      const iteratorCommand = instance.worker.postMessage.mock.calls.at(-1)[0];
+
+      expect(loopCommand).toMatchObject({ command: 'setInterval', delay: 33 });
+      expect(iteratorCommand).toMatchObject({ command: 'setInterval', delay: 500 });
+      for (let i = 0; i < 3; i++) {
+        instance.worker.onmessage({ data: { type: 'tick', id: loopCommand.id } });
+      }
+      expect(frame).toHaveBeenCalledTimes(3);
+    });
+
+    test('starts intervals at backgroundDelay when created while hidden', () => {
+      visibilityState = 'hidden';
+      const instance = initTabSafeTimers({ backgroundDelay: 5000 });
+      const intervalId = instance.setInterval(jest.fn(), 1000);
+      const timeoutId = instance.setTimeout(jest.fn(), 1000);
+
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setInterval', id: intervalId, delay: 5000 });
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setTimeout', id: timeoutId, delay: 1000 });
+    });
+
+    test('moves native timers to the fallback when the worker degrades', async () => {
+      jest.useFakeTimers({ now: 0 });
+      jest.spyOn(console, 'error').mockImplementation();
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      instance.scheduleTimeout(callback, 100, { useWorker: 'whenHidden' });
+
+      instance.worker.onerror(new Error('crash'));
+      expect(instance.nativeWorker).toBe(null);
+      jest.advanceTimersByTime(100);
+      await Promise.resolve();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      console.error.mockRestore();
+    });
+
+    test('stops listening for visibilitychange once no timer needs it', () => {
+      const instance = initTabSafeTimers();
+      const id = instance.scheduleInterval(jest.fn(), 100, { useWorker: 'whenHidden' });
+      expect(instance.visibilityListener).not.toBe(null);
+
+      instance.clearInterval(id);
+      expect(instance.visibilityListener).toBe(null);
+    });
+
+    test('validates per-timer policies', () => {
+      const instance = initTabSafeTimers();
+      expect(() => instance.scheduleInterval(jest.fn(), 100, { useWorker: 'sometimes' })).toThrow(TypeError);
+      expect(() => instance.scheduleInterval(jest.fn(), 100, { backgroundDelay: NaN })).toThrow(RangeError);
+    });
+  });
+
+  describe('Shared intervals', () => {
+    const RealWorker = global.Worker;
+    let tabs;
+
+    /** In-memory BroadcastChannel that delivers to the other channels of the same name, in order */
+    class FakeBroadcastChannel {
+      static open = new Set();
+
+      constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        FakeBroadcastChannel.open.add(this);
+      }
+
+      postMessage(data) {
+        for (const channel of FakeBroadcastChannel.open) {
+          if (channel !== this && channel.name === this.name) {
+            queueMicrotask(() => channel.onmessage && channel.onmessage({ data }));
+          }
+        }
+      }
+
+      close() {
+        FakeBroadcastChannel.open.delete(this);
+      }
+    }
+
+    // Each tab is a separate instance running on native timers, so ticks follow the fake clock
+    const openTab = (options = {}) => {
+      const tab = new TabSafeTimers({ overrideGlobals: false, ...options });
+      tab.init();
+      tabs.push(tab);
+      return tab;
+    };
+
+    beforeEach(() => {
+      tabs = [];
+      jest.useFakeTimers({ now: 0 });
+      global.Worker = undefined;
+      global.BroadcastChannel = FakeBroadcastChannel;
+    });
+
+    afterEach(() => {
+      for (const tab of tabs) {
+        tab.destroy();
+      }
+      FakeBroadcastChannel.open.clear();
+      delete global.BroadcastChannel;
+      global.Worker = RealWorker;
+      jest.useRealTimers();
+    });
+
+    test('runs the callback in one tab only', async () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      const tab1 = openTab();
+      tab1.setSharedInterval('sync', first, 1000, { leaseDuration: 3000 });
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(tab1.isSharedIntervalLeader('sync')).toBe(true);
+
+      const tab2 = openTab();
+      tab2.setSharedInterval('sync', second, 1000, { leaseDuration: 3000 });
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect(tab2.isSharedIntervalLeader('sync')).toBe(false);
+      expect(first).toHaveBeenCalledTimes(10);
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    test('keeps renewing and checking leases in hidden tabs with a backgroundDelay', async () => {
+      Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => 'hidden' });
+      try {
+        const first = jest.fn();
+        const second = jest.fn();
+        const tab1 = openTab({ backgroundDelay: 60000 });
+        tab1.setSharedInterval('sync', first, 1000, { leaseDuration: 3000 });
+        await jest.advanceTimersByTimeAsync(1000);
+        const tab2 = openTab({ backgroundDelay: 60000 });
+        tab2.setSharedInterval('sync', second, 1000, { leaseDuration: 3000 });
+        await jest.advanceTimersByTimeAsync(10000);
+
+        expect(tab1.isSharedIntervalLeader('sync')).toBe(true);
+        expect(tab2.isSharedIntervalLeader('sync')).toBe(false);
+        expect(first).toHaveBeenCalledTimes(10);
+        expect(second).not.toHaveBeenCalled();
+      } finally {
+        delete document.visibilityState;
+      }
+    });
+
+    test('hands over right away when the leader stops', async () => {
+      const onLeadershipChange = jest.fn();
+      const tab1 = openTab();
+      const tab2 = openTab();
+      tab1.setSharedInterval('sync', jest.fn(), 1000, { leaseDuration: 3000 });
+      await jest.advanceTimersByTimeAsync(1000);
+      tab2.setSharedInterval('sync', jest.fn(), 1000, { leaseDuration: 3000, onLeadershipChange });
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(tab2.isSharedIntervalLeader('sync')).toBe(false);
+
+      expect(tab1.clearSharedInterval('sync')).toBe(true);
+      expect(tab1.clearSharedInterval('sync')).toBe(false);
+      await jest.advanceTimersByTimeAsync(1);
+
+      expect(tab2.isSharedIntervalLeader('sync')).toBe(true);
+      expect(onLeadershipChange).toHaveBeenCalledWith(true);
+    });
+
+    test('resigns when the page is hidden for good', async () => {
+      const tab1 = openTab();
+      const tab2 = openTab();
+      tab1.setSharedInterval('sync', jest.fn(), 1000);
+      await jest.advanceTimersByTimeAsync(2000);
+      tab2.setSharedInterval('sync', jest.fn(), 1000);
+      await jest.advanceTimersByTimeAsync(2000);
+
+      window.dispatchEvent(new Event('pagehide'));
+      await jest.advanceTimersByTimeAsync(1);
+
+      expect(tab1.isSharedIntervalLeader('sync') || tab2.isSharedIntervalLeader('sync')).toBe(true);
+      expect(tab1.isSharedIntervalLeader('sync') && tab2.isSharedIntervalLeader('sync')).toBe(false);
+    });
+
+    test('takes over once the leader stops renewing its lease', async () => {
+      const second = jest.fn();
+      const tab1 = openTab();
+      const tab2 = openTab();
+      tab1.setSharedInterval('sync', jest.fn(), 1000, { leaseDuration: 3000 });
+      await jest.advanceTimersByTimeAsync(1000);
+      tab2.setSharedInterval('sync', second, 1000, { leaseDuration: 3000 });
+      await jest.advanceTimersByTimeAsync(2000);
+
+      // The leader tab crashes: no resign message, no more heartbeats
+      tab1.sharedIntervals.get('sync').channel.close();
+      tab1.worker.terminate();
+      await jest.advanceTimersByTimeAsync(2999);
+      expect(tab2.isSharedIntervalLeader('sync')).toBe(false);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(tab2.isSharedIntervalLeader('sync')).toBe(true);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(second).toHaveBeenCalled();
+    });
+
+    test('settles on one leader when tabs claim at the same time', async () => {
+      const tab1 = openTab();
+      const tab2 = openTab();
+      const tab3 = openTab();
+      for (const tab of [tab1, tab2, tab3]) {
+        tab.setSharedInterval('sync', jest.fn(), 1000);
+      }
+
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect([tab1, tab2, tab3].filter((tab) => tab.isSharedIntervalLeader('sync'))).toHaveLength(1);
+    });
+
+    test('leads right away without BroadcastChannel', () => {
+      delete global.BroadcastChannel;
+      const tab = openTab();
+      tab.setSharedInterval('sync', jest.fn(), 1000);
+      expect(tab.isSharedIntervalLeader('sync')).toBe(true);
+    });
+
+    test('validates its arguments', () => {
+      const tab = openTab();
+      tab.setSharedInterval('sync', jest.fn(), 1000);
+      expect(() => tab.setSharedInterval('sync', jest.fn(), 1000)).toThrow('already exists');
+      expect(() => tab.setSharedInterval('', jest.fn(), 1000)).toThrow(TypeError);
+      expect(() => tab.setSharedInterval('other', jest.fn(), 1000, { leaseDuration: 0 })).toThrow(RangeError);
+    });
+  });
+
+  describe('Promises and AbortSignal', () => {
+    const tick = (instance, id) => instance.worker.onmessage({ data: { type: 'tick', id } });
+    const lastCommand = (instance) => instance.worker.postMessage.mock.calls.at(-1)[0];
+
+    test('sleep resolves when the worker timeout fires', async () => {
+      const instance = initTabSafeTimers();
+      const sleeping = instance.sleep(500);
+      const { id } = lastCommand(instance);
+      expect(lastCommand(instance)).toEqual({ command: 'setTimeout', id, delay: 500 });
+
+      tick(instance, id);
+
+      await expect(sleeping).resolves.toBeUndefined();
+    });
+
+    test('sleep rejects with an AbortError and clears the worker timeout when aborted', async () => {
+      const instance = initTabSafeTimers();
+      const controller = new AbortController();
+      const sleeping = instance.sleep(500, { signal: controller.signal });
+      const { id } = lastCommand(instance);
+
+      controller.abort();
+
+      await expect(sleeping).rejects.toMatchObject({ name: 'AbortError' });
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'clearTimeout', id });
+      expect(instance.callbacks.has(id)).toBe(false);
+    });
+
+    test('sleep rejects immediately for an already aborted signal', async () => {
+      const instance = initTabSafeTimers();
+      instance.worker.postMessage.mockClear();
+
+      await expect(instance.sleep(500, { signal: AbortSignal.abort() })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(instance.worker.postMessage).not.toHaveBeenCalled();
+    });
+
+    test('sleep rejects for an invalid signal', async () => {
+      const instance = initTabSafeTimers();
+      await expect(instance.sleep(500, { signal: {} })).rejects.toThrow(TypeError);
+    });
+
+    test('scheduleTimeout clears the worker timeout when aborted', () => {
+      const instance = initTabSafeTimers();
+      const controller = new AbortController();
+      const callback = jest.fn();
+      const id = instance.scheduleTimeout(callback, 100, { signal: controller.signal, args: ['a'] });
+
+      controller.abort();
+      tick(instance, id);
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'clearTimeout', id });
+    });
+
+    test('scheduleInterval clears the worker interval when aborted', () => {
+      const instance = initTabSafeTimers();
+      const controller = new AbortController();
+      const callback = jest.fn();
+      const id = instance.scheduleInterval(callback, 100, { signal: controller.signal });
+
+      tick(instance, id);
+      controller.abort();
+      tick(instance, id);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'clearInterval', id });
+    });
+
+    test('does not schedule timers for an already aborted signal', () => {
+      const instance = initTabSafeTimers();
+      instance.worker.postMessage.mockClear();
+      const id = instance.scheduleTimeout(jest.fn(), 100, { signal: AbortSignal.abort() });
+
+      expect(id).toBeGreaterThan(0);
+      expect(instance.callbacks.has(id)).toBe(false);
+      expect(instance.worker.postMessage).not.toHaveBeenCalled();
+    });
+
+    test('detaches the abort listener once a timeout fires', () => {
+      const instance = initTabSafeTimers();
+      const controller = new AbortController();
+      const removeListener = jest.spyOn(controller.signal, 'removeEventListener');
+      const id = instance.scheduleTimeout(jest.fn(), 100, { signal: controller.signal });
+
+      tick(instance, id);
+
+      expect(removeListener).toHaveBeenCalledWith('abort', expect.any(Function));
+    });
+  });
+
+  describe('Async iteration', () => {
+    const commands = (instance, command) =>
+      instance.worker.postMessage.mock.calls.map(([message]) => message).filter((message) => message.command === command);
+
+    test('yields worker ticks and acknowledges them only when the consumer pulls', async () => {
+      const instance = initTabSafeTimers();
+      const ticks = instance.interval(1000, { value: 'tick' });
+      expect(commands(instance, 'setInterval')).toHaveLength(0);
+
+      const first = ticks.next();
+      const [{ id }] = commands(instance, 'setInterval');
+      expect(commands(instance, 'setInterval')[0]).toEqual({ command: 'setInterval', id, delay: 1000, catchUp: 'coalesce' });
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      await expect(first).resolves.toEqual({ value: 'tick', done: false });
+      expect(commands(instance, 'ack')).toHaveLength(0);
+
+      const second = ticks.next();
+      expect(commands(instance, 'ack')).toEqual([{ command: 'ack', id }]);
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      await expect(second).resolves.toEqual({ value: 'tick', done: false });
+    });
+
+    test('answers next() calls made before a tick in order, one tick each', async () => {
+      const instance = initTabSafeTimers();
+      const ticks = instance.interval(1000, { value: 'tick' });
+      const settled = [];
+      const pulls = [ticks.next(), ticks.next(), ticks.next()];
+      pulls.forEach((pull, index) => pull.then(() => settled.push(index)));
+      const [{ id }] = commands(instance, 'setInterval');
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      await Promise.resolve();
+      expect(settled).toEqual([0]);
+      // The worker holds further ticks until acknowledged, so the queued consumers ask for one
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'ack', id });
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      await expect(Promise.all(pulls)).resolves.toEqual([
+        { value: 'tick', done: false },
+        { value: 'tick', done: false },
+        { value: 'tick', done: false },
+      ]);
+      expect(settled).toEqual([0, 1, 2]);
+    });
+
+    test('settles every waiting next() call on return and abort', async () => {
+      const instance = initTabSafeTimers();
+      const ticks = instance.interval(100);
+      const waiting = [ticks.next(), ticks.next()];
+      await ticks.return();
+      await expect(Promise.all(waiting)).resolves.toEqual([
+        { value: undefined, done: true },
+        { value: undefined, done: true },
+      ]);
+
+      const controller = new AbortController();
+      const aborted = instance.interval(100, { signal: controller.signal });
+      const pulls = [aborted.next(), aborted.next()];
+      controller.abort();
+      await expect(pulls[0]).rejects.toMatchObject({ name: 'AbortError' });
+      await expect(pulls[1]).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('clears the worker interval when the loop exits', async () => {
+      const instance = initTabSafeTimers();
+      const seen = [];
+      const iterate = (async () => {
+        for await (const value of instance.interval(100, { value: 1 })) {
+          seen.push(value);
+          if (seen.length === 2) {
+            break;
+          }
+        }
+      })();
+
+      const [{ id }] = commands(instance, 'setInterval');
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      await Promise.resolve();
+      await Promise.resolve();
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      await iterate;
+
+      expect(seen).toEqual([1, 1]);
+      expect(commands(instance, 'clearInterval')).toEqual([{ command: 'clearInterval', id }]);
+      expect(instance.callbacks.has(id)).toBe(false);
+    });
+
+    test('throws an AbortError and clears the interval when aborted', async () => {
+      const instance = initTabSafeTimers();
+      const controller = new AbortController();
+      const ticks = instance.interval(100, { signal: controller.signal });
+
+      const waiting = ticks.next();
+      const [{ id }] = commands(instance, 'setInterval');
+      controller.abort();
+
+      await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+      await expect(ticks.next()).rejects.toMatchObject({ name: 'AbortError' });
+      expect(commands(instance, 'clearInterval')).toEqual([{ command: 'clearInterval', id }]);
+    });
+
+    test('finishes after return', async () => {
+      const instance = initTabSafeTimers();
+      const ticks = instance.interval(100);
+      const waiting = ticks.next();
+
+      await expect(ticks.return()).resolves.toEqual({ value: undefined, done: true });
+      await expect(waiting).resolves.toEqual({ value: undefined, done: true });
+      await expect(ticks.next()).resolves.toEqual({ value: undefined, done: true });
+    });
+
+    test('immediate resolves with its value after a zero-delay worker round trip', async () => {
+      const instance = initTabSafeTimers();
+      const yielding = instance.immediate('next');
+      const { id, delay } = commands(instance, 'setTimeout')[0];
+      expect(delay).toBe(0);
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+
+      await expect(yielding).resolves.toBe('next');
+    });
+  });
+
+  describe('Pause and reschedule', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('pauses and resumes with the remaining time', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const id = instance.setTimeout(jest.fn(), 1000);
+      jest.advanceTimersByTime(400);
+
+      expect(instance.pause(id)).toBe(true);
+      expect(instance.pause(id)).toBe(false);
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'pause', id });
+      expect(instance.getActiveTimers()[0].paused).toBe(true);
+
+      jest.advanceTimersByTime(5000);
+      expect(instance.resume(id)).toBe(true);
+      expect(instance.resume(id)).toBe(false);
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'resume', id });
+      expect(instance.getActiveTimers()[0]).toMatchObject({ paused: false, nextFireAt: 6000 });
+    });
+
+    test('drops ticks that arrive while paused', () => {
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      const id = instance.scheduleInterval(callback, 100, { catchUp: 'coalesce' });
+      instance.pause(id);
+      instance.worker.postMessage.mockClear();
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(instance.worker.postMessage).not.toHaveBeenCalled();
+    });
+
+    test('registers a timeout again if it fired before the pause reached the worker', () => {
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      const id = instance.setTimeout(callback, 100);
+      instance.pause(id);
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+
+      instance.resume(id);
+
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'setTimeout', id, delay: 0 });
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('registers a timeout again if it fired before a reschedule or refresh reached the worker', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      const id = instance.setTimeout(callback, 100);
+      jest.advanceTimersByTime(100);
+
+      expect(instance.reschedule(id, 1000)).toBe(true);
+      instance.worker.onmessage({ data: { type: 'tick', id, scheduledTime: 100, firedTime: 100 } });
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'setTimeout', id, delay: 1000 });
+      jest.advanceTimersByTime(400);
+      expect(instance.refresh(id)).toBe(true);
+      instance.worker.onmessage({ data: { type: 'tick', id, scheduledTime: 1100, firedTime: 1100 } });
+      expect(callback).not.toHaveBeenCalled();
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'setTimeout', id, delay: 1000 });
+
+      instance.worker.onmessage({ data: { type: 'tick', id, scheduledTime: 1500, firedTime: 1500 } });
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(instance.getActiveTimers()).toEqual([]);
+    });
+
+    test('runs the tick of a timeout the worker did reschedule', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      const id = instance.setTimeout(callback, 100);
+      jest.advanceTimersByTime(50);
+      instance.reschedule(id, 200);
+
+      instance.worker.onmessage({ data: { type: 'tick', id, scheduledTime: 250, firedTime: 251 } });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('reschedules and refreshes timers', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers({ minDelay: 5 });
+      const id = instance.setInterval(jest.fn(), 100);
+
+      expect(instance.reschedule(id, 2)).toBe(true);
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'reschedule', id, delay: 5 });
+      jest.advanceTimersByTime(3);
+      expect(instance.refresh(id)).toBe(true);
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'refresh', id });
+      expect(instance.getActiveTimers()[0]).toMatchObject({ delay: 5, nextFireAt: 8 });
+
+      expect(instance.reschedule(999, 10)).toBe(false);
+      expect(instance.refresh(999)).toBe(false);
+    });
+
+    test('keeps paused timers paused across a worker restart', () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      const instance = initTabSafeTimers({ supervisor: true });
+      const id = instance.setTimeout(jest.fn(), 1000);
+      instance.pause(id);
+      instance.reschedule(id, 300);
+
+      instance.worker.onerror(new Error('crash'));
+
+      expect(instance.worker.postMessage.mock.calls.map(([message]) => message)).toEqual([
+        { command: 'setTimeout', id, delay: 300 },
+        { command: 'pause', id },
+      ]);
+      console.error.mockRestore();
+    });
+
+    test('worker pauses and resumes with the remaining time', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setTimeout', id: 1, delay: 1000 });
+      jest.advanceTimersByTime(400);
+      worker.send({ command: 'pause', id: 1 });
+      jest.advanceTimersByTime(2000);
+      expect(worker.postMessage).not.toHaveBeenCalled();
+
+      worker.send({ command: 'resume', id: 1 });
+      jest.advanceTimersByTime(599);
+      expect(worker.postMessage).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'tick', id: 1, scheduledTime: 3000, firedTime: 3000 });
+    });
+
+    test('worker pauses intervals', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setInterval', id: 1, delay: 100 });
+      jest.advanceTimersByTime(150);
+      worker.send({ command: 'pause', id: 1 });
+      jest.advanceTimersByTime(1000);
+      worker.send({ command: 'resume', id: 1 });
+      jest.advanceTimersByTime(150);
+
+      expect(worker.postMessage.mock.calls.map(([message]) => message.scheduledTime)).toEqual([100, 1200, 1300]);
+    });
+
+    test('worker reschedules and refreshes from now', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setInterval', id: 1, delay: 100 });
+      worker.send({ command: 'setTimeout', id: 2, delay: 100 });
+      jest.advanceTimersByTime(50);
+      worker.send({ command: 'reschedule', id: 1, delay: 300 });
+      worker.send({ command: 'refresh', id: 2 });
+      jest.advanceTimersByTime(650);
+
+      expect(worker.postMessage.mock.calls.map(([{ id, scheduledTime }]) => [id, scheduledTime])).toEqual([
+        [2, 150],
+        [1, 350],
+        [1, 650],
+      ]);
+    });
+
+    test('worker keeps a rescheduled timer paused', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setTimeout', id: 1, delay: 100 });
+      worker.send({ command: 'pause', id: 1 });
+      worker.send({ command: 'reschedule', id: 1, delay: 500 });
+      jest.advanceTimersByTime(1000);
+      expect(worker.postMessage).not.toHaveBeenCalled();
+
+      worker.send({ command: 'resume', id: 1 });
+      jest.advanceTimersByTime(500);
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'tick', id: 1, scheduledTime: 1500, firedTime: 1500 });
+    });
+  });
+
+  describe('Wall-clock scheduling', () => {
+    const RealWorker = global.Worker;
+    // Thursday, 2026-01-01T00:07:30Z
+    const START = Date.UTC(2026, 0, 1, 0, 7, 30);
+
+    afterEach(() => {
+      global.Worker = RealWorker;
+      jest.useRealTimers();
+    });
+
+    test('registers alarms for dates, timestamps and date strings', () => {
+      jest.useFakeTimers({ now: START });
+      const instance = initTabSafeTimers();
+      const at = Date.UTC(2026, 10, 1);
+
+      const first = instance.scheduleAt(new Date(at), jest.fn());
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'setAlarm', id: first, at });
+      const second = instance.scheduleAt(at, jest.fn());
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'setAlarm', id: second, at });
+      const third = instance.scheduleAt('2026-11-01T00:00Z', jest.fn(), { label: 'rotate keys' });
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'setAlarm', id: third, at });
+      expect(instance.getActiveTimers()[2]).toMatchObject({ type: 'timeout', nextFireAt: at, label: 'rotate keys' });
+
+      expect(instance.reschedule(first, 100)).toBe(false);
+      expect(instance.refresh(first)).toBe(false);
+      expect(instance.clearTimeout(first)).toBe(true);
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'clearTimeout', id: first });
+    });
+
+    test.each([[null], [{}], ['not a date'], [NaN]])('rejects the invalid date %p', (date) => {
+      const instance = initTabSafeTimers();
+      expect(() => instance.scheduleAt(date, jest.fn())).toThrow(RangeError);
+    });
+
+    test('fires an alarm at its wall-clock time when the clock jumps ahead', () => {
+      jest.useFakeTimers({ now: 0 });
+      let jump = 0;
+      // The worker's monotonic clock does not see changes to the system clock
+      const worker = startWorker(() => -jump);
+      worker.send({ command: 'setAlarm', id: 1, at: 3600000 });
+      jest.advanceTimersByTime(1000);
+
+      jump = 3000000;
+      jest.setSystemTime(Date.now() + jump);
+      const ticks = () => worker.postMessage.mock.calls.map(([message]) => message).filter(({ type }) => type === 'tick');
+      jest.advanceTimersByTime(598000);
+      expect(ticks()).toEqual([]);
+      jest.advanceTimersByTime(1000);
+
+      expect(ticks()).toEqual([expect.objectContaining({ id: 1, scheduledTime: 3600000 })]);
+    });
+
+    test('does not fire an alarm early when the clock is set back', () => {
+      jest.useFakeTimers({ now: 0 });
+      let jump = 0;
+      const worker = startWorker(() => -jump);
+      worker.send({ command: 'setAlarm', id: 1, at: 10000 });
+      jest.advanceTimersByTime(5000);
+
+      jump = -3600000;
+      jest.setSystemTime(Date.now() + jump);
+      jest.advanceTimersByTime(10000);
+
+      expect(worker.postMessage).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'tick' }));
+      expect(jest.getTimerCount()).toBe(1);
+    });
+
+    test.each([
+      ['*/15 * * * *', Date.UTC(2026, 0, 1, 0, 15)],
+      ['5/20 * * * *', Date.UTC(2026, 0, 1, 0, 25)],
+      ['0 9 * * mon-fri', Date.UTC(2026, 0, 1, 9)],
+      ['0 0 * * 0', Date.UTC(2026, 0, 4)],
+      ['0 0 * * 7', Date.UTC(2026, 0, 4)],
+      ['30 8 1 jan,jul *', Date.UTC(2026, 0, 1, 8, 30)],
+      ['0 0 13 * fri', Date.UTC(2026, 0, 2)],
+      ['0 0 29 2 *', Date.UTC(2028, 1, 29)],
+      ['@monthly', Date.UTC(2026, 1, 1)],
+      ['@hourly', Date.UTC(2026, 0, 1, 1)],
+    ])('schedules "%s" for its next match', (expression, expected) => {
+      jest.useFakeTimers({ now: START });
+      const instance = initTabSafeTimers();
+      const id = instance.schedule(expression, jest.fn(), { utc: true });
+
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'setAlarm', id, at: expected });
+      expect(instance.getActiveTimers()[0]).toMatchObject({ type: 'interval', nextFireAt: expected });
+    });
+
+    test.each(['* * * *', '60 * * * *', '* * * foo *', '5-1 * * * *', '*/0 * * * *', '1,,2 * * * *'])(
+      'rejects the malformed cron expression "%s"',
+      (expression) => {
+        const instance = initTabSafeTimers();
+        expect(() => instance.schedule(expression, jest.fn())).toThrow(SyntaxError);
+      },
+    );
+
+    test('rejects cron expressions that never match and invalid options', () => {
+      const instance = initTabSafeTimers();
+      expect(() => instance.schedule('0 0 30 2 *', jest.fn())).toThrow(RangeError);
+      expect(() => instance.schedule(42, jest.fn())).toThrow(TypeError);
+      expect(() => instance.schedule('@daily', jest.fn(), { utc: 'yes' })).toThrow(TypeError);
+    });
+
+    test('runs a cron schedule on every match and once after the system sleeps', () => {
+      jest.useFakeTimers({ now: START });
+      global.Worker = undefined;
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      instance.schedule('*/15 * * * *', callback, { utc: true, args: ['report'] });
+
+      jest.advanceTimersByTime(7.5 * 60000);
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith('report');
+      jest.advanceTimersByTime(15 * 60000);
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(instance.getActiveTimers()[0].nextFireAt).toBe(Date.UTC(2026, 0, 1, 0, 45));
+
+      // Two hours pass on the wall clock while the timers stand still
+      jest.setSystemTime(Date.now() + 2 * 3600000);
+      jest.advanceTimersByTime(1000);
+      expect(callback).toHaveBeenCalledTimes(3);
+      expect(instance.getActiveTimers()[0].nextFireAt).toBe(Date.UTC(2026, 0, 1, 2, 45));
+    });
+
+    test('keeps moving forward through the hour repeated when clocks go back', () => {
+      // The suite runs in America/New_York, where 01:00-01:59 happens twice on 2026-11-01
+      jest.useFakeTimers({ now: Date.parse('2026-11-01T06:30:10Z') });
+      global.Worker = undefined;
+      const instance = initTabSafeTimers();
+      const fired = [];
+      instance.schedule('31 * * * *', () => fired.push(new Date(Date.now()).toISOString()));
+      expect(instance.getActiveTimers()[0].nextFireAt).toBe(Date.parse('2026-11-01T06:31:00Z'));
+
+      jest.advanceTimersByTime(61 * 60000);
+
+      expect(fired).toEqual(['2026-11-01T06:31:00.000Z', '2026-11-01T07:31:00.000Z']);
+      expect(instance.getActiveTimers()[0].nextFireAt).toBe(Date.parse('2026-11-01T08:31:00Z'));
+    });
+
+    test('runs a local cron match once when its hour is repeated', () => {
+      jest.useFakeTimers({ now: Date.parse('2026-11-01T05:00:00Z') });
+      global.Worker = undefined;
+      const instance = initTabSafeTimers();
+      const fired = [];
+      instance.schedule('31 1 * * *', () => fired.push(new Date(Date.now()).toISOString()));
+
+      jest.advanceTimersByTime(3 * 3600000);
+
+      expect(fired).toEqual(['2026-11-01T05:31:00.000Z']);
+      expect(instance.getActiveTimers()[0].nextFireAt).toBe(Date.parse('2026-11-02T06:31:00Z'));
+    });
+
+    test('stops a cron schedule that is cleared from its own callback', () => {
+      jest.useFakeTimers({ now: START });
+      const instance = initTabSafeTimers();
+      const id = instance.schedule('* * * * *', () => instance.clearInterval(id));
+      instance.worker.postMessage.mockClear();
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+
+      expect(instance.worker.postMessage).toHaveBeenCalledTimes(1);
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'clearInterval', id });
+      expect(instance.getActiveTimers()).toEqual([]);
+    });
+
+    test('books a cron match again if it fired while paused', () => {
+      jest.useFakeTimers({ now: START });
+      const instance = initTabSafeTimers();
+      const callback = jest.fn();
+      const id = instance.schedule('*/15 * * * *', callback, { utc: true });
+      const at = Date.UTC(2026, 0, 1, 0, 15);
+      instance.pause(id);
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      expect(callback).not.toHaveBeenCalled();
+
+      jest.setSystemTime(at + 60000);
+      instance.resume(id);
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'setAlarm', id, at });
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(instance.worker.postMessage).toHaveBeenLastCalledWith({ command: 'setAlarm', id, at: Date.UTC(2026, 0, 1, 0, 30) });
+    });
+
+    test('adds wall-clock timers to scopes', () => {
+      const instance = initTabSafeTimers();
+      const scope = instance.createScope();
+      scope.scheduleAt(Date.now() + 1000, jest.fn());
+      scope.schedule('@daily', jest.fn());
+
+      expect(scope.size).toBe(2);
+      expect(scope.clearAll()).toBe(2);
+    });
+  });
+
+  describe('Sleep detection', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const messages = (worker) => worker.postMessage.mock.calls.map(([message]) => message);
+
+    test('reports sleep when a timer fires late on the monotonic clock', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+      worker.send({ command: 'setTimeout', id: 1, delay: 1000 });
+
+      // Suspended for a minute while both clocks kept running
+      jest.setSystemTime(60000);
+      jest.advanceTimersByTime(1000);
+
+      expect(messages(worker)).toEqual([
+        { type: 'sleep', duration: 60000 },
+        { type: 'tick', id: 1, scheduledTime: 1000, firedTime: 61000 },
+      ]);
+    });
+
+    test('reports sleep when the wall clock gets ahead of a monotonic clock that stood still', () => {
+      jest.useFakeTimers({ now: 0 });
+      let jump = 0;
+      const worker = startWorker(() => -jump);
+      worker.send({ command: 'setTimeout', id: 1, delay: 1000 });
+      worker.send({ command: 'setTimeout', id: 2, delay: 30000 });
+
+      jump = 60000;
+      jest.setSystemTime(jump);
+      jest.advanceTimersByTime(1000);
+
+      expect(messages(worker)).toEqual([{ type: 'sleep', duration: 60000 }, expect.objectContaining({ type: 'tick', id: 1 })]);
+    });
+
+    test('runs timeouts that fell due during sleep right away with fireOverdue', () => {
+      jest.useFakeTimers({ now: 0 });
+      let jump = 0;
+      const worker = startWorker(() => -jump);
+      worker.send({ command: 'configure', fireOverdue: true });
+      worker.send({ command: 'setTimeout', id: 1, delay: 1000 });
+      worker.send({ command: 'setTimeout', id: 2, delay: 30000 });
+      worker.send({ command: 'setTimeout', id: 3, delay: 90000 });
+      worker.send({ command: 'setTimeout', id: 4, delay: 40000 });
+      worker.send({ command: 'pause', id: 4 });
+
+      jump = 60000;
+      jest.setSystemTime(jump);
+      jest.advanceTimersByTime(1000);
+      const ticked = () => messages(worker).filter(({ type }) => type === 'tick').map(({ id }) => id);
+      expect(ticked()).toEqual([1, 2]);
+
+      jest.advanceTimersByTime(28999);
+      expect(ticked()).toEqual([1, 2]);
+      jest.advanceTimersByTime(1);
+      expect(ticked()).toEqual([1, 2, 3]);
+    });
+
+    test('reports a clock that was set back', () => {
+      jest.useFakeTimers({ now: 3600000 });
+      let jump = 0;
+      const worker = startWorker(() => -jump);
+      worker.send({ command: 'setTimeout', id: 1, delay: 1000 });
+
+      jump = -3600000;
+      jest.setSystemTime(0);
+      jest.advanceTimersByTime(1000);
+
+      expect(messages(worker)).toEqual([{ type: 'clockjump', delta: -3600000 }, expect.objectContaining({ type: 'tick', id: 1 })]);
+    });
+
+    test('ignores gaps below the threshold and lateness of throttled timers', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+      worker.send({ command: 'setTimeout', id: 1, delay: 1000 });
+      jest.setSystemTime(4000);
+      jest.advanceTimersByTime(1000);
+      expect(messages(worker).map(({ type }) => type)).toEqual(['tick']);
+
+      worker.send({ command: 'configure', sleepThreshold: 100 });
+      worker.send({ command: 'setTimeout', id: 2, delay: 1000 });
+      jest.setSystemTime(Date.now() + 500);
+      jest.advanceTimersByTime(1000);
+      expect(messages(worker)[1]).toEqual({ type: 'sleep', duration: 500 });
+
+      worker.postMessage.mockClear();
+      worker.throttled = true;
+      worker.send({ command: 'setTimeout', id: 3, delay: 1000 });
+      jest.setSystemTime(Date.now() + 60000);
+      jest.advanceTimersByTime(1000);
+      expect(messages(worker).map(({ type }) => type)).toEqual(['tick']);
+    });
+
+    test('emits sleep and clockjump events', () => {
+      const instance = initTabSafeTimers();
+      const onSleep = jest.fn();
+      const onClockJump = jest.fn();
+      instance.on('sleep', onSleep);
+      instance.on('clockjump', onClockJump);
+
+      instance.worker.onmessage({ data: { type: 'sleep', duration: 60000 } });
+      instance.worker.onmessage({ data: { type: 'clockjump', delta: -3600000 } });
+
+      expect(onSleep).toHaveBeenCalledWith({ duration: 60000 });
+      expect(onClockJump).toHaveBeenCalledWith({ delta: -3600000 });
+    });
+
+    test('configures the worker only when the defaults change', () => {
+      const instance = initTabSafeTimers();
+      expect(instance.worker.postMessage).not.toHaveBeenCalled();
+      destroyTabSafeTimers();
+
+      const configured = initTabSafeTimers({ batch: true, sleepThreshold: 1000, fireOverdueOnWake: true });
+      expect(configured.worker.postMessage).toHaveBeenCalledWith({
+        command: 'configure',
+        batch: true,
+        sleepThreshold: 1000,
+        fireOverdue: true,
+      });
+    });
+  });
+
+  describe('Worker tasks', () => {
+    const RealWorker = global.Worker;
+
+    afterEach(() => {
+      global.Worker = RealWorker;
+      delete global.structuredClone;
+      jest.useRealTimers();
+    });
+
+    const messages = (worker) => worker.postMessage.mock.calls.map(([message]) => message);
+
+    test('runs tasks in the worker and posts their results', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+      worker.send({ command: 'setTimeout', id: 1, delay: 100, task: '(n) => n * 2', data: 21 });
+      worker.send({ command: 'setTimeout', id: 2, delay: 100, task: 'async function (n) { return n + 1; }', data: 1 });
+
+      await jest.advanceTimersByTimeAsync(100);
+
+      expect(messages(worker)).toEqual([
+        { type: 'result', id: 1, value: 42, scheduledTime: 100 },
+        { type: 'result', id: 2, value: 2, scheduledTime: 100 },
+      ]);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('repeats interval tasks without waiting for the main thread', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+      worker.send({ command: 'setInterval', id: 1, delay: 100, task: '(state) => ++state.runs', data: { runs: 0 } });
+
+      await jest.advanceTimersByTimeAsync(300);
+
+      expect(messages(worker).map(({ value }) => value)).toEqual([1, 2, 3]);
+    });
+
+    test('reports tasks that throw or do not compile', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+      worker.send({ command: 'setInterval', id: 1, delay: 100, task: 'run() {}' });
+      expect(messages(worker)).toEqual([
+        { type: 'taskerror', id: 1, error: expect.objectContaining({ name: 'SyntaxError' }), stopped: true },
+      ]);
+      expect(jest.getTimerCount()).toBe(0);
+
+      worker.send({ command: 'setTimeout', id: 2, delay: 100, task: '() => { throw new RangeError("nope"); }' });
+      await jest.advanceTimersByTimeAsync(100);
+      expect(messages(worker)[1]).toEqual({
+        type: 'taskerror',
+        id: 2,
+        error: expect.objectContaining({ name: 'RangeError', message: 'nope' }),
+        scheduledTime: 100,
+      });
+    });
+
+    test('ships the task source and data with the timer', () => {
+      const instance = initTabSafeTimers();
+      const id = instance.runInWorker((url) => url, 5000, { interval: true, data: '/api/keepalive', label: 'keepalive' });
+
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({
+        command: 'setInterval',
+        id,
+        delay: 5000,
+        // Compare loosely, the test is transpiled
+        task: expect.stringMatching(/url\)? => url$/),
+        data: '/api/keepalive',
+      });
+      expect(instance.getActiveTimers()[0]).toMatchObject({ type: 'interval', label: 'keepalive' });
+      expect(instance.clearInterval(id)).toBe(true);
+    });
+
+    test('delivers results and errors to the task callbacks', () => {
+      const instance = initTabSafeTimers();
+      const onResult = jest.fn();
+      const onError = jest.fn();
+      const timeout = instance.runInWorker(() => 1, 100, { onResult });
+      const interval = instance.runInWorker(() => 1, 100, { interval: true, onResult, onError });
+
+      instance.worker.onmessage({ data: { type: 'result', id: timeout, value: 'done' } });
+      instance.worker.onmessage({ data: { type: 'result', id: interval, value: 1 } });
+      instance.worker.onmessage({ data: { type: 'result', id: timeout, value: 'again' } });
+      expect(onResult.mock.calls).toEqual([['done'], [1]]);
+      expect(instance.getActiveTimers().map(({ id }) => id)).toEqual([interval]);
+
+      instance.worker.onmessage({
+        data: { type: 'taskerror', id: interval, error: { name: 'ReferenceError', message: 'apiKey is not defined' } },
+      });
+      expect(onError).toHaveBeenCalledWith(expect.any(Error));
+      const [[error]] = onError.mock.calls;
+      expect(error.name).toBe('ReferenceError');
+      expect(error.message).toMatch(/apiKey is not defined.*"data" option/);
+      expect(instance.getActiveTimers()).toHaveLength(1);
+
+      instance.worker.onmessage({ data: { type: 'taskerror', id: interval, error: { name: 'SyntaxError' }, stopped: true } });
+      expect(instance.getActiveTimers()).toEqual([]);
+    });
+
+    test('follows the schedule of task intervals across pauses, restarts and degrading', async () => {
+      jest.useFakeTimers({ now: 0 });
+      jest.spyOn(console, 'error').mockImplementation();
+      const instance = initTabSafeTimers({ supervisor: { maxRestarts: 1 } });
+      const onResult = jest.fn();
+      const id = instance.runInWorker(() => 'ran', 1000, { interval: true, onResult });
+
+      for (const scheduledTime of [1000, 2000, 3000]) {
+        jest.setSystemTime(scheduledTime + 50);
+        instance.worker.onmessage({ data: { type: 'result', id, value: 'ran', scheduledTime } });
+      }
+      // A slow run finishing late does not move the deadline back
+      instance.worker.onmessage({ data: { type: 'result', id, value: 'ran', scheduledTime: 2000 } });
+      jest.setSystemTime(3500);
+      expect(instance.getActiveTimers()[0]).toMatchObject({ nextFireAt: 4000, fireCount: 4 });
+
+      instance.pause(id);
+      expect(instance.callbacks.get(id).remaining).toBe(500);
+      instance.resume(id);
+
+      instance.worker.onerror(new Error('crash'));
+      expect(instance.worker.postMessage).toHaveBeenCalledWith(expect.objectContaining({ command: 'setInterval', id, firstDelay: 500 }));
+
+      instance.worker.onerror(new Error('crash again'));
+      expect(instance.status).toBe('degraded');
+      await jest.advanceTimersByTimeAsync(499);
+      expect(onResult).toHaveBeenCalledTimes(4);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(onResult).toHaveBeenCalledTimes(5);
+      console.error.mockRestore();
+    });
+
+    test('reports task errors to onError without a task handler', () => {
+      const handler = jest.fn();
+      const instance = initTabSafeTimers({ onError: handler });
+      const id = instance.runInWorker(() => 1, 100);
+
+      instance.worker.onmessage({ data: { type: 'taskerror', id, error: { name: 'TypeError', message: 'boom' } } });
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ name: 'TypeError' }), { source: 'task', id, type: 'timeout' });
+    });
+
+    test.each([
+      ['a native function', Math.max],
+      ['a bound function', function () {}.bind(null)],
+      ['a method', { run() {} }.run],
+      ['a class', class Task {}],
+      ['a string', 'fetch("/ping")'],
+    ])('rejects %s', (_, fn) => {
+      const instance = initTabSafeTimers();
+      expect(() => instance.runInWorker(fn, 100)).toThrow(TypeError);
+      expect(instance.worker.postMessage).not.toHaveBeenCalled();
+    });
+
+    test('rejects data that cannot be sent to the worker', () => {
+      global.structuredClone = () => {
+        throw new Error('function could not be cloned');
+      };
+      const instance = initTabSafeTimers();
+      expect(() => instance.runInWorker(() => 1, 100, { data: { callback() {} } })).toThrow(/"data".*could not be cloned/);
+      expect(() => instance.runInWorker(() => 1, 100, { onResult: 'log' })).toThrow(TypeError);
+    });
+
+    test('runs tasks on the fallback worker, explaining closures that do not survive serialization', async () => {
+      jest.useFakeTimers({ now: 0 });
+      global.Worker = undefined;
+      const instance = initTabSafeTimers();
+      const onResult = jest.fn();
+      const onError = jest.fn();
+      const secret = 'token';
+
+      instance.runInWorker((n) => n + 1, 100, { data: 1, onResult });
+      instance.runInWorker(() => secret, 100, { onError });
+      await jest.advanceTimersByTimeAsync(100);
+
+      expect(onResult).toHaveBeenCalledWith(2);
+      expect(onError.mock.calls[0][0].message).toMatch(/secret is not defined/);
+      expect(instance.getActiveTimers()).toEqual([]);
+    });
+  });
+
+  describe('Debounce and throttle', () => {
+    const tick = (instance, id) => instance.worker.onmessage({ data: { type: 'tick', id } });
+    const commands = (instance) => instance.worker.postMessage.mock.calls.map(([message]) => message);
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('debounces a burst of calls into one trailing call, rescheduling a single timer', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const calls = [];
+      const save = instance.debounce(function (value) {
+        calls.push({ self: this, value });
+        return value;
+      }, 100);
+      const context = { name: 'editor' };
+
+      expect(save.call(context, 'a')).toBeUndefined();
+      const { id } = commands(instance)[0];
+      jest.advanceTimersByTime(50);
+      save.call(context, 'b');
+      jest.advanceTimersByTime(50);
+      save.call(context, 'c');
+
+      expect(commands(instance)).toEqual([
+        { command: 'setTimeout', id, delay: 100 },
+        { command: 'reschedule', id, delay: 100 },
+        { command: 'reschedule', id, delay: 100 },
+      ]);
+      expect(instance.getActiveTimers()[0]).toMatchObject({ id, label: 'debounce', nextFireAt: 200 });
+      expect(save.pending()).toBe(true);
+
+      jest.advanceTimersByTime(100);
+      tick(instance, id);
+
+      expect(calls).toEqual([{ self: context, value: 'c' }]);
+      expect(save.pending()).toBe(false);
+      expect(save('d')).toBe('c');
+      expect(commands(instance).at(-1)).toEqual({ command: 'setTimeout', id: expect.any(Number), delay: 100 });
+      expect(commands(instance).at(-1).id).not.toBe(id);
+    });
+
+    test('waits out the rest of the burst when a tick arrives before the debounced time', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const fn = jest.fn();
+      const save = instance.debounce(fn, 100);
+
+      save('a');
+      const { id } = commands(instance)[0];
+      jest.advanceTimersByTime(50);
+      save('b');
+      jest.advanceTimersByTime(10);
+      // Sent before the reschedule reached the worker, so it carries no usable timing
+      tick(instance, id);
+
+      expect(fn).not.toHaveBeenCalled();
+      expect(save.pending()).toBe(true);
+      const next = commands(instance).at(-1);
+      expect(next).toEqual({ command: 'setTimeout', id: expect.any(Number), delay: 90 });
+
+      jest.advanceTimersByTime(90);
+      tick(instance, next.id);
+
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(fn).toHaveBeenCalledWith('b');
+      expect(save.pending()).toBe(false);
+    });
+
+    test('calls on the leading edge and limits the wait with maxWait', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const fn = jest.fn((value) => value);
+      const search = instance.debounce(fn, 100, { leading: true, maxWait: 250 });
+
+      expect(search('a')).toBe('a');
+      const { id } = commands(instance)[0];
+      jest.advanceTimersByTime(80);
+      search('b');
+      jest.advanceTimersByTime(80);
+      search('c');
+      jest.advanceTimersByTime(80);
+      search('d');
+
+      expect(commands(instance).slice(1)).toEqual([
+        { command: 'reschedule', id, delay: 100 },
+        { command: 'reschedule', id, delay: 90 },
+        { command: 'reschedule', id, delay: 10 },
+      ]);
+      jest.advanceTimersByTime(10);
+      tick(instance, id);
+
+      expect(fn.mock.calls).toEqual([['a'], ['d']]);
+    });
+
+    test('skips the trailing call when disabled or when only the leading call happened', () => {
+      const instance = initTabSafeTimers();
+      const fn = jest.fn();
+      const leadingOnly = instance.debounce(fn, 100, { leading: true, trailing: false });
+      leadingOnly(1);
+      leadingOnly(2);
+      tick(instance, commands(instance)[0].id);
+
+      const both = instance.debounce(fn, 100, { leading: true });
+      both(3);
+      tick(instance, commands(instance).at(-1).id);
+
+      expect(fn.mock.calls).toEqual([[1], [3]]);
+    });
+
+    test('cancels and flushes a pending call', () => {
+      const instance = initTabSafeTimers();
+      const fn = jest.fn((value) => value);
+      const save = instance.debounce(fn, 100);
+
+      save('a');
+      const { id } = commands(instance)[0];
+      save.cancel();
+      expect(commands(instance).at(-1)).toEqual({ command: 'clearTimeout', id });
+      expect(save.pending()).toBe(false);
+      tick(instance, id);
+      expect(fn).not.toHaveBeenCalled();
+
+      save('b');
+      const next = commands(instance).at(-1).id;
+      expect(save.flush()).toBe('b');
+      expect(commands(instance).at(-1)).toEqual({ command: 'clearTimeout', id: next });
+      expect(save.pending()).toBe(false);
+      expect(save.flush()).toBe('b');
+      expect(fn.mock.calls).toEqual([['b']]);
+      expect(instance.getActiveTimers()).toEqual([]);
+    });
+
+    test('throttles to one leading and one trailing call per period', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const fn = jest.fn();
+      const report = instance.throttle(fn, 1000);
+
+      report(1);
+      const { id } = commands(instance)[0];
+      jest.advanceTimersByTime(300);
+      report(2);
+      jest.advanceTimersByTime(300);
+      report(3);
+
+      expect(fn.mock.calls).toEqual([[1]]);
+      expect(commands(instance)).toEqual([
+        { command: 'setTimeout', id, delay: 1000 },
+        { command: 'reschedule', id, delay: 700 },
+        { command: 'reschedule', id, delay: 400 },
+      ]);
+      expect(instance.getActiveTimers()[0]).toMatchObject({ label: 'throttle', nextFireAt: 1000 });
+
+      jest.advanceTimersByTime(400);
+      tick(instance, id);
+      expect(fn.mock.calls).toEqual([[1], [3]]);
+
+      jest.advanceTimersByTime(200);
+      report(4);
+      expect(fn.mock.calls).toEqual([[1], [3]]);
+      expect(commands(instance).at(-1)).toEqual({ command: 'setTimeout', id: expect.any(Number), delay: 800 });
+    });
+
+    test('throttles without a leading call', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers();
+      const fn = jest.fn();
+      const report = instance.throttle(fn, 1000, { leading: false });
+
+      report(1);
+      report(2);
+      expect(fn).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1000);
+      tick(instance, commands(instance)[0].id);
+
+      expect(fn.mock.calls).toEqual([[2]]);
+    });
+
+    test('reports errors from trailing calls through onError', () => {
+      jest.useFakeTimers({ now: 0 });
+      const onError = jest.fn();
+      const instance = initTabSafeTimers({ onError });
+      const error = new Error('save failed');
+      const save = instance.debounce(() => {
+        throw error;
+      }, 100);
+
+      save();
+      jest.advanceTimersByTime(100);
+      tick(instance, commands(instance)[0].id);
+
+      expect(onError).toHaveBeenCalledWith(error, expect.objectContaining({ source: 'callback', type: 'timeout' }));
+      expect(save.pending()).toBe(false);
+    });
+
+    test.each([
+      ['debounce', [null], TypeError, /Callback must be a function/],
+      ['debounce', [() => {}, 100, { leading: 'yes' }], TypeError, /leading/],
+      ['debounce', [() => {}, 100, { trailing: 0 }], TypeError, /trailing/],
+      ['debounce', [() => {}, 100, { maxWait: -1 }], RangeError, /maxWait/],
+      ['throttle', ['fn', 100], TypeError, /Callback must be a function/],
+      ['throttle', [() => {}, 100, { leading: 1 }], TypeError, /leading/],
+    ])('%s rejects invalid arguments %p', (method, args, ErrorType, message) => {
+      const instance = initTabSafeTimers();
+      expect(() => instance[method](...args)).toThrow(ErrorType);
+      expect(() => instance[method](...args)).toThrow(message);
+    });
+  });
+
+  describe('Events', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('emits init and destroy, again after re-initialization', () => {
+      const timers = new TabSafeTimers();
+      const onInit = jest.fn();
+      const onDestroy = jest.fn();
+      timers.on('init', onInit);
+      timers.on('destroy', onDestroy);
+
+      timers.init();
+      expect(onInit).toHaveBeenCalledWith({ status: 'worker', workerType: 'dedicated' });
+      timers.setTimeout(jest.fn(), 100);
+      timers.setInterval(jest.fn(), 100);
+      timers.startLoop(jest.fn());
+
+      timers.destroy();
+      expect(onDestroy).toHaveBeenCalledWith({ activeTimers: 2 });
+      timers.destroy();
+      expect(onDestroy).toHaveBeenCalledTimes(1);
+
+      timers.init();
+      expect(onInit).toHaveBeenCalledTimes(2);
+      timers.destroy();
+    });
+
+    test('emits tick with timing after each callback runs', () => {
+      jest.useFakeTimers({ now: 0 });
+      const instance = initTabSafeTimers({ overrideGlobals: false });
+      const onTick = jest.fn();
+      instance.on('tick', onTick);
+      const id = instance.scheduleInterval(() => jest.advanceTimersByTime(5), 100, { label: 'poll' });
+
+      instance.worker.onmessage({ data: { type: 'tick', id, scheduledTime: 100, firedTime: 112, skipped: 1 } });
+
+      expect(onTick).toHaveBeenCalledWith({
+        id,
+        type: 'interval',
+        label: 'poll',
+        scheduledTime: 100,
+        firedTime: 112,
+        lateness: 12,
+        skipped: 1,
+        duration: 5,
+        failed: false,
+      });
+    });
+
+    test('sends errors to error subscribers instead of the console', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation();
+      const instance = initTabSafeTimers();
+      const onErrorEvent = jest.fn();
+      const onTick = jest.fn();
+      instance.on('error', onErrorEvent);
+      instance.on('tick', onTick);
+      const error = new Error('boom');
+      const id = instance.setTimeout(() => {
+        throw error;
+      }, 100);
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+
+      expect(onErrorEvent).toHaveBeenCalledWith({ error, source: 'callback', id, type: 'timeout' });
+      expect(onTick).toHaveBeenCalledWith(expect.objectContaining({ id, failed: true }));
+      expect(consoleError).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
+    test('emits error alongside the onError option', () => {
+      const onError = jest.fn();
+      const instance = initTabSafeTimers({ onError });
+      const onErrorEvent = jest.fn();
+      instance.on('error', onErrorEvent);
+      const id = instance.setTimeout(() => {
+        throw new Error('boom');
+      }, 100);
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onErrorEvent).toHaveBeenCalledTimes(1);
+    });
+
+    test('emits workererror when the worker fails, before degrading', () => {
+      const instance = initTabSafeTimers();
+      const events = [];
+      instance.on('workererror', (payload) => events.push(['workererror', payload]));
+      instance.on('error', ({ source }) => events.push(['error', source]));
+      instance.on('degraded', ({ reason }) => events.push(['degraded', reason]));
+      const error = new Error('crashed');
+
+      instance.worker.onerror(error);
+
+      expect(events).toEqual([
+        ['workererror', { error, workerType: 'dedicated' }],
+        ['error', 'worker'],
+        ['degraded', 'crash'],
+      ]);
+    });
+
+    test('keeps dispatching when a handler throws', () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation();
+      const instance = initTabSafeTimers();
+      instance.on('tick', () => {
+        throw new Error('handler failed');
+      });
+      const callback = jest.fn();
+      const id = instance.setInterval(callback, 100);
+
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+      instance.worker.onmessage({ data: { type: 'tick', id } });
+
+      expect(callback).toHaveBeenCalledTimes(2);
+      expect(consoleError).toHaveBeenCalledWith('[TabSafeTimers] Error in tick handler:', expect.any(Error));
+      consoleError.mockRestore();
+    });
+
+    test('rejects unknown events and non-function handlers', () => {
+      const timers = new TabSafeTimers();
+      expect(() => timers.on('ticks', jest.fn())).toThrow(TypeError);
+      expect(() => timers.on('ticks', jest.fn())).toThrow(/Unknown event "ticks"/);
+      expect(() => timers.on('tick', null)).toThrow('[TabSafeTimers] Event handler must be a function');
+    });
+  });
+
+  describe('Introspection', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('describes active timers', () => {
+      jest.useFakeTimers({ now: 10000 });
+      const instance = initTabSafeTimers();
+      const timeoutId = instance.setTimeout(jest.fn(), 500);
+      jest.advanceTimersByTime(100);
+      const intervalId = instance.scheduleInterval(jest.fn(), 1000, { label: 'poll' });
+
+      instance.worker.onmessage({ data: { type: 'tick', id: intervalId, scheduledTime: 11100, firedTime: 11101 } });
+
+      expect(instance.getActiveTimers()).toEqual([
+        {
+          id: timeoutId,
+          type: 'timeout',
+          delay: 500,
+          createdAt: 10000,
+          nextFireAt: 10500,
+          fireCount: 0,
+          paused: false,
+          label: null,
+          stack: null,
+        },
+        {
+          id: intervalId,
+          type: 'interval',
+          delay: 1000,
+          createdAt: 10100,
+          nextFireAt: 12100,
+          fireCount: 1,
+          paused: false,
+          label: 'poll',
+          stack: null,
+        },
+      ]);
+    });
+
+    test('drops timers once they are done', () => {
+      const instance = initTabSafeTimers();
+      const timeoutId = instance.setTimeout(jest.fn(), 500);
+      const intervalId = instance.setInterval(jest.fn(), 500);
+
+      instance.worker.onmessage({ data: { type: 'tick', id: timeoutId } });
+      instance.clearInterval(intervalId);
+
+      expect(instance.getActiveTimers()).toEqual([]);
+    });
+
+    test('labels timers created by helpers', () => {
+      const instance = initTabSafeTimers();
+      instance.sleep(100);
+      instance.interval(100).next();
+
+      expect(instance.getActiveTimers().map(({ label }) => label)).toEqual(['sleep', 'interval iterator']);
+    });
+
+    test('captures creation stacks in debug mode', () => {
+      const instance = initTabSafeTimers({ captureStacks: true });
+      instance.setInterval(function leakyWidgetPoll() {}, 1000);
+      const [timer] = instance.getActiveTimers();
+
+      expect(timer.stack).toEqual(expect.any(String));
+      expect(timer.stack).toContain('index.test.js');
+    });
+
+    test('rejects non-string labels', () => {
+      const instance = initTabSafeTimers();
+      expect(() => instance.scheduleTimeout(jest.fn(), 100, { label: 42 })).toThrow(TypeError);
+    });
+  });
+
+  describe('Scopes', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('tracks scope timers as a subset of callbacks', () => {
+      const instance = initTabSafeTimers();
+      const scope = instance.createScope();
+      const outside = instance.setInterval(jest.fn(), 100);
+      const timeoutId = scope.setTimeout(jest.fn(), 100);
+      const intervalId = scope.scheduleInterval(jest.fn(), 100, { label: 'widget' });
+
+      expect(scope.size).toBe(2);
+      expect([...scope.ids]).toEqual([timeoutId, intervalId]);
+      expect(instance.callbacks.has(outside)).toBe(true);
+      expect(instance.callbacks.has(timeoutId)).toBe(true);
+      expect(instance.getActiveTimers().find(({ id }) => id === intervalId).label).toBe('widget');
+    });
+
+    test('clears every scope timer in one worker message', () => {
+      const instance = initTabSafeTimers();
+      const scope = instance.createScope();
+      const outside = instance.setInterval(jest.fn(), 100);
+      const ids = [scope.setTimeout(jest.fn(), 100), scope.setInterval(jest.fn(), 100), scope.scheduleTimeout(jest.fn(), 5)];
+      instance.worker.postMessage.mockClear();
+
+      expect(scope.clearAll()).toBe(3);
+
+      expect(instance.worker.postMessage).toHaveBeenCalledTimes(1);
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'clearMany', ids });
+      expect(scope.size).toBe(0);
+      expect(ids.some((id) => instance.callbacks.has(id))).toBe(false);
+      expect(instance.callbacks.has(outside)).toBe(true);
+    });
+
+    test('does not message the worker for an empty scope', () => {
+      const instance = initTabSafeTimers();
+      const scope = instance.createScope();
+      instance.worker.postMessage.mockClear();
+
+      expect(scope.clearAll()).toBe(0);
+      expect(instance.worker.postMessage).not.toHaveBeenCalled();
+    });
+
+    test('forgets timeouts that fired and timers cleared individually', () => {
+      const instance = initTabSafeTimers();
+      const scope = instance.createScope();
+      const timeoutId = scope.setTimeout(jest.fn(), 100);
+      const intervalId = scope.setInterval(jest.fn(), 100);
+
+      instance.worker.onmessage({ data: { type: 'tick', id: timeoutId } });
+      expect(scope.clearInterval(intervalId)).toBe(true);
+
+      expect(scope.size).toBe(0);
+    });
+
+    test('only clears its own timers', () => {
+      const instance = initTabSafeTimers();
+      const scope = instance.createScope();
+      const outside = instance.setTimeout(jest.fn(), 100);
+
+      expect(scope.clearTimeout(outside)).toBe(false);
+      expect(instance.callbacks.has(outside)).toBe(true);
+    });
+
+    test('worker clears intervals and timeouts on clearMany', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setInterval', id: 1, delay: 100 });
+      worker.send({ command: 'setTimeout', id: 2, delay: 100 });
+      worker.send({ command: 'setTimeout', id: 3, delay: 100 });
+      worker.send({ command: 'clearMany', ids: [1, 2] });
+      jest.advanceTimersByTime(500);
+
+      expect(worker.postMessage).toHaveBeenCalledTimes(1);
+      expect(worker.postMessage).toHaveBeenCalledWith(expect.objectContaining({ id: 3 }));
+    });
+  });
+
+  describe('Worker scheduler', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('arms a single native timer however many timers are scheduled', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      for (let id = 1; id <= 1000; id++) {
+        worker.send({ command: 'setTimeout', id, delay: 1000 + ((id * 7919) % 1000) });
+      }
+      worker.send({ command: 'setInterval', id: 1001, delay: 250 });
+      expect(jest.getTimerCount()).toBe(1);
+
+      jest.advanceTimersByTime(2000);
+
+      const ticks = worker.postMessage.mock.calls.map(([message]) => message);
+      const timeouts = ticks.filter(({ id }) => id <= 1000);
+      expect(timeouts).toHaveLength(1000);
+      expect(timeouts.every(({ scheduledTime, firedTime }) => scheduledTime === firedTime)).toBe(true);
+      expect(ticks.filter(({ id }) => id === 1001)).toHaveLength(8);
+      expect(jest.getTimerCount()).toBe(1);
+    });
+
+    test('fires equal deadlines in the order they were scheduled', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setTimeout', id: 3, delay: 200 });
+      worker.send({ command: 'setTimeout', id: 1, delay: 100 });
+      worker.send({ command: 'setTimeout', id: 2, delay: 100 });
+      jest.advanceTimersByTime(200);
+
+      expect(worker.postMessage.mock.calls.map(([message]) => message.id)).toEqual([1, 2, 3]);
+    });
+
+    test('re-arms for the next deadline when the earliest timer is cleared', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setTimeout', id: 1, delay: 100 });
+      worker.send({ command: 'setTimeout', id: 2, delay: 300 });
+      worker.send({ command: 'clearTimeout', id: 1 });
+      jest.advanceTimersByTime(299);
+      expect(worker.postMessage).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'tick', id: 2, scheduledTime: 300, firedTime: 300 });
+    });
+
+    test('stops the native timer once nothing is scheduled', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+      const ids = [];
+      for (let id = 1; id <= 200; id++) {
+        ids.push(id);
+        worker.send({ command: 'setTimeout', id, delay: id });
+      }
+
+      worker.send({ command: 'clearMany', ids });
+
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('reaches deadlines beyond the native timer limit in capped steps', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+      const nativeSetTimeout = jest.spyOn(worker, 'setTimeout');
+      worker.send({ command: 'setTimeout', id: 1, delay: 1e10 });
+
+      jest.advanceTimersByTime(200);
+      expect(nativeSetTimeout).toHaveBeenCalledTimes(1);
+      expect(nativeSetTimeout).toHaveBeenCalledWith(expect.any(Function), 2 ** 31 - 1);
+
+      jest.advanceTimersByTime(1e10 - 201);
+      expect(worker.postMessage).not.toHaveBeenCalled();
+      expect(nativeSetTimeout).toHaveBeenCalledTimes(5);
+
+      jest.advanceTimersByTime(1);
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'tick', id: 1, scheduledTime: 1e10, firedTime: 1e10 });
+    });
+
+    test('drops the nodes left behind by refresh while an earlier timer keeps them buried', () => {
+      jest.useFakeTimers({ now: 0 });
+      // Grab the worker's private heap from the first node it pushes
+      let heap = null;
+      const push = Array.prototype.push;
+      const spy = jest.spyOn(Array.prototype, 'push').mockImplementation(function (...items) {
+        if (heap === null && items[0] && 'seq' in items[0] && 'timer' in items[0]) {
+          heap = this;
+        }
+        return push.apply(this, items);
+      });
+      const worker = startWorker();
+      worker.send({ command: 'setInterval', id: 1, delay: 1000 });
+      spy.mockRestore();
+      worker.send({ command: 'setTimeout', id: 2, delay: 15 * 60 * 1000 });
+
+      for (let i = 0; i < 10000; i++) {
+        worker.send({ command: 'refresh', id: 2 });
+      }
+
+      expect(heap.length).toBeLessThanOrEqual(65);
+      jest.advanceTimersByTime(15 * 60 * 1000);
+      const ticks = worker.postMessage.mock.calls.map(([message]) => message);
+      expect(ticks.filter(({ id }) => id === 2)).toHaveLength(1);
+      expect(ticks.filter(({ id }) => id === 1)).toHaveLength(900);
+    });
+
+    test('clears intervals and timeouts with either command, like the shared browser ID space', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({ command: 'setInterval', id: 1, delay: 100 });
+      worker.send({ command: 'setTimeout', id: 2, delay: 100 });
+      worker.send({ command: 'clearTimeout', id: 1 });
+      worker.send({ command: 'clearInterval', id: 2 });
+      jest.advanceTimersByTime(500);
+
+      expect(worker.postMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Batched protocol', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('tells the worker to batch ticks', () => {
+      const instance = initTabSafeTimers({ batch: true });
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'configure', batch: true });
+    });
+
+    test('sends the commands of one task in a single message', async () => {
+      const instance = initTabSafeTimers({ batch: true });
+      instance.worker.postMessage.mockClear();
+
+      const first = instance.setTimeout(jest.fn(), 10);
+      const second = instance.setInterval(jest.fn(), 20);
+      instance.clearTimeout(first);
+      expect(instance.worker.postMessage).not.toHaveBeenCalled();
+      await Promise.resolve();
+
+      expect(instance.worker.postMessage).toHaveBeenCalledTimes(1);
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({
+        command: 'batch',
+        commands: [
+          { command: 'setTimeout', id: first, delay: 10 },
+          { command: 'setInterval', id: second, delay: 20 },
+          { command: 'clearTimeout', id: first },
+        ],
+      });
+    });
+
+    test('sends a lone command unwrapped', async () => {
+      const instance = initTabSafeTimers({ batch: true });
+      instance.worker.postMessage.mockClear();
+
+      const id = instance.setTimeout(jest.fn(), 10);
+      await Promise.resolve();
+
+      expect(instance.worker.postMessage).toHaveBeenCalledWith({ command: 'setTimeout', id, delay: 10 });
+    });
+
+    test('dispatches every tick of a batch', () => {
+      const instance = initTabSafeTimers({ batch: true });
+      const first = jest.fn();
+      const second = jest.fn();
+      const firstId = instance.setTimeout(first, 10);
+      const secondId = instance.setInterval(second, 10);
+
+      instance.worker.onmessage({ data: { type: 'ticks', ticks: [{ type: 'tick', id: firstId }, { type: 'tick', id: secondId }] } });
+
+      expect(first).toHaveBeenCalledTimes(1);
+      expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    test('drops queued commands for a worker that is replaced', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      const instance = initTabSafeTimers({ batch: true, supervisor: true });
+      const id = instance.setTimeout(jest.fn(), 10);
+
+      instance.worker.onerror(new Error('crash'));
+      const replacement = instance.worker;
+      await Promise.resolve();
+
+      expect(replacement.postMessage).toHaveBeenCalledTimes(2);
+      expect(replacement.postMessage).toHaveBeenCalledWith({ command: 'configure', batch: true });
+      expect(replacement.postMessage).toHaveBeenCalledWith({ command: 'setTimeout', id, delay: expect.any(Number) });
+      console.error.mockRestore();
+    });
+
+    test('worker runs every command of a batch', () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+
+      worker.send({
+        command: 'batch',
+        commands: [
+          { command: 'setTimeout', id: 1, delay: 100 },
+          { command: 'setTimeout', id: 2, delay: 100 },
+          { command: 'clearTimeout', id: 1 },
+        ],
+      });
+      jest.advanceTimersByTime(100);
+
+      expect(worker.postMessage).toHaveBeenCalledTimes(1);
+      expect(worker.postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'tick', id: 2 }));
+    });
+
+    test('worker sends ticks of the same task together', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const worker = startWorker();
+      worker.send({ command: 'configure', batch: true });
+      worker.send({ command: 'setInterval', id: 1, delay: 100, catchUp: 'coalesce' });
+      worker.send({ command: 'setInterval', id: 2, delay: 100, catchUp: 'coalesce' });
+      jest.advanceTimersByTime(300);
+      await Promise.resolve();
+      worker.postMessage.mockClear();
+
+      // Both acknowledgements arrive in one message, so both coalesced ticks leave in one
+      worker.send({
+        command: 'batch',
+        commands: [
+          { command: 'ack', id: 1 },
+          { command: 'ack', id: 2 },
+        ],
+      });
+      await Promise.resolve();
+
+      expect(worker.postMessage).toHaveBeenCalledTimes(1);
+      expect(worker.postMessage).toHaveBeenCalledWith({
+        type: 'ticks',
+        ticks: [
+          { type: 'tick', id: 1, scheduledTime: 300, firedTime: 300, skipped: 1 },
+          { type: 'tick', id: 2, scheduledTime: 300, firedTime: 300, skipped: 1 },
+        ],
+      });
+    });
+
+    test('benchmark: message count for 1000 timeouts', async () => {
+      const count = async (options) => {
+        const instance = initTabSafeTimers(options);
+        instance.worker.postMessage.mockClear();
+        const ids = [];
+        for (let i = 0; i < 1000; i++) {
+          ids.push(instance.setTimeout(jest.fn(), 10));
+        }
+        for (const id of ids) {
+          instance.clearTimeout(id);
+        }
+        await Promise.resolve();
+        const messages = instance.worker.postMessage.mock.calls.length;
+        destroyTabSafeTimers();
+        return messages;
+      };
+
+      // Before: one message per call; after: one message per task
+      expect(await count({ batch: false })).toBe(2000);
+      expect(await count({ batch: true })).toBe(1);
+    });
+  });
+
   describe('Fallback behavior', () => {
     test('uses native timers when not initialized', () => {
       // Don't initialize TabSafeTimers
@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+
+import { initTabSafeTimers, destroyTabSafeTimers, getTabSafeTimers } from '../src/index.js';
+
+describe('TabSafeTimers on the server', () => {
+  afterEach(() => {
+    destroyTabSafeTimers();
+    jest.useRealTimers();
+  });
+
+  test('initializes in server mode without a window', () => {
+    const instance = initTabSafeTimers();
+    expect(typeof window).toBe('undefined');
+    expect(instance.status).toBe('server');
+    expect(getTabSafeTimers()).toBe(instance);
+  });
+
+  test('leaves the global timers untouched', () => {
+    const { setTimeout, setInterval, clearTimeout, clearInterval } = globalThis;
+    initTabSafeTimers();
+    destroyTabSafeTimers();
+    expect(globalThis.setTimeout).toBe(setTimeout);
+    expect(globalThis.setInterval).toBe(setInterval);
+    expect(globalThis.clearTimeout).toBe(clearTimeout);
+    expect(globalThis.clearInterval).toBe(clearInterval);
+  });
+
+  test('does not create a Web Worker', () => {
+    const instance = initTabSafeTimers();
+    expect(instance.worker).not.toBeInstanceOf(Worker);
+  });
+
+  test('runs timeouts and intervals on the native timers', () => {
+    jest.useFakeTimers();
+    const instance = initTabSafeTimers();
+    const timeout = jest.fn();
+    const interval = jest.fn();
+
+    instance.setTimeout(timeout, 100, 'a', 'b');
+    const intervalId = instance.setInterval(interval, 50);
+    jest.advanceTimersByTime(100);
+
+    expect(timeout).toHaveBeenCalledWith('a', 'b');
+    expect(interval).toHaveBeenCalledTimes(2);
+
+    instance.clearInterval(intervalId);
+    jest.advanceTimersByTime(500);
+    expect(interval).toHaveBeenCalledTimes(2);
+  });
+
+  test('resolves sleep', async () => {
+    const instance = initTabSafeTimers();
+    await expect(instance.sleep(5)).resolves.toBeUndefined();
+  });
+
+  test('drives frame loops with timer ticks', () => {
+    jest.useFakeTimers();
+    const instance = initTabSafeTimers();
+    const callback = jest.fn();
+
+    instance.startLoop(callback, { fps: 20 });
+    jest.advanceTimersByTime(200);
+
+    expect(callback).toHaveBeenCalledTimes(4);
+    expect(callback).toHaveBeenLastCalledWith(expect.any(Number), 4);
+  });
+
+  test('stops pending timers on destroy', () => {
+    jest.useFakeTimers();
+    const instance = initTabSafeTimers();
+    const callback = jest.fn();
+    instance.setInterval(callback, 10);
+
+    destroyTabSafeTimers();
+    jest.advanceTimersByTime(100);
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(instance.status).toBe('idle');
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { createTestTimers, FakeClock, TestTabSafeTimers } from '../src/testing.js';
+
+describe('Testing utilities', () => {
+  let timers;
+
+  afterEach(() => {
+    if (timers) {
+      timers.destroy();
+      timers = null;
+    }
+    jest.useRealTimers();
+  });
+
+  test('runs timer callbacks through the real dispatch when the clock advances', () => {
+    timers = createTestTimers({ overrideGlobals: false }, new FakeClock(0));
+    const timeout = jest.fn();
+    const ticks = [];
+    timers.setTimeout(timeout, 1000, 'arg');
+    timers.setInterval(() => ticks.push(timers.currentTick.scheduledTime), 300);
+
+    timers.clock.advanceBy(999);
+    expect(timeout).not.toHaveBeenCalled();
+    timers.clock.advanceBy(1);
+
+    expect(timeout).toHaveBeenCalledWith('arg');
+    expect(ticks).toEqual([300, 600, 900]);
+    expect(timers.clock.now()).toBe(1000);
+    expect(timers.getActiveTimers()[0]).toMatchObject({ type: 'interval', nextFireAt: 1200, fireCount: 3 });
+  });
+
+  test('runs timers scheduled and cleared by callbacks in order', () => {
+    timers = createTestTimers({ overrideGlobals: false }, new FakeClock(0));
+    const calls = [];
+    const interval = timers.setInterval(() => {
+      calls.push(`interval ${timers.clock.now()}`);
+      timers.setTimeout(() => calls.push(`nested ${timers.clock.now()}`), 50);
+      if (calls.length > 2) {
+        timers.clearInterval(interval);
+      }
+    }, 100);
+
+    timers.clock.advanceBy(1000);
+
+    expect(calls).toEqual(['interval 100', 'nested 150', 'interval 200', 'nested 250']);
+  });
+
+  test('keeps pause and resume on the fake clock', () => {
+    timers = createTestTimers({ overrideGlobals: false }, new FakeClock(0));
+    const callback = jest.fn();
+    const id = timers.setTimeout(callback, 1000);
+    timers.clock.advanceBy(400);
+    timers.pause(id);
+    timers.clock.advanceBy(5000);
+    timers.resume(id);
+
+    timers.clock.advanceBy(599);
+    expect(callback).not.toHaveBeenCalled();
+    timers.clock.advanceBy(1);
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  test('runOnlyPending runs the timers scheduled now but not the ones they schedule later', () => {
+    timers = createTestTimers({ overrideGlobals: false }, new FakeClock(0));
+    const calls = [];
+    timers.setTimeout(() => calls.push('short'), 100);
+    timers.setTimeout(() => {
+      calls.push('long');
+      timers.setTimeout(() => calls.push('follow-up'), 100);
+    }, 500);
+
+    timers.clock.runOnlyPending();
+
+    expect(calls).toEqual(['short', 'long']);
+    expect(timers.clock.now()).toBe(500);
+    timers.clock.runOnlyPending();
+    expect(calls).toEqual(['short', 'long', 'follow-up']);
+  });
+
+  test('runAll runs chains of timers and refuses to run intervals forever', () => {
+    timers = createTestTimers({ overrideGlobals: false }, new FakeClock(0));
+    let remaining = 3;
+    const step = () => {
+      if (--remaining > 0) {
+        timers.setTimeout(step, 1000);
+      }
+    };
+    timers.setTimeout(step, 1000);
+
+    timers.clock.runAll();
+    expect(remaining).toBe(0);
+    expect(timers.clock.now()).toBe(3000);
+
+    timers.setInterval(() => {}, 10);
+    expect(() => timers.clock.runAll()).toThrow(/runAll aborted/);
+  });
+
+  test('advanceBy refuses to run a zero-delay chain forever but runs long spans of timers', () => {
+    timers = createTestTimers({ overrideGlobals: false }, new FakeClock(0));
+    const loop = () => timers.setTimeout(loop, 0);
+    timers.setTimeout(loop, 0);
+
+    expect(() => timers.clock.advanceBy(10)).toThrow(/advanceBy aborted after 100000 timers at 0/);
+    timers.destroy();
+
+    timers = createTestTimers({ overrideGlobals: false }, new FakeClock(0));
+    const tick = jest.fn();
+    timers.setInterval(tick, 1);
+    timers.clock.advanceBy(200000);
+
+    expect(tick).toHaveBeenCalledTimes(200000);
+  });
+
+  test('runs callbacks before advanceBy returns with batch on', () => {
+    timers = createTestTimers({ overrideGlobals: false, batch: true }, new FakeClock(0));
+    const times = [];
+    const step = () => {
+      times.push(timers.clock.now());
+      if (times.length < 3) {
+        timers.setTimeout(step, 100);
+      }
+    };
+    timers.setTimeout(step, 100);
+    const interval = jest.fn();
+    timers.setInterval(interval, 50);
+
+    timers.clock.advanceBy(100);
+    expect(times).toEqual([100]);
+    expect(interval).toHaveBeenCalledTimes(2);
+
+    timers.clock.advanceBy(200);
+    expect(times).toEqual([100, 200, 300]);
+    expect(interval).toHaveBeenCalledTimes(6);
+  });
+
+  test('resolves promises once the clock reaches them', async () => {
+    timers = createTestTimers({ overrideGlobals: false });
+    const done = jest.fn();
+    timers.sleep(1000).then(done);
+
+    timers.clock.advanceBy(1000);
+    await Promise.resolve();
+
+    expect(done).toHaveBeenCalled();
+  });
+
+  test('delivers async worker task results on flush', async () => {
+    timers = createTestTimers({ overrideGlobals: false });
+    const onResult = jest.fn();
+    timers.runInWorker(async (n) => n * 2, 100, { data: 21, onResult });
+
+    timers.clock.advanceBy(100);
+    await Promise.resolve();
+    timers.clock.flush();
+
+    expect(onResult).toHaveBeenCalledWith(42);
+  });
+
+  test('moves the wall clock on its own with setSystemTime', () => {
+    const clock = new FakeClock(Date.UTC(2026, 0, 1));
+    timers = createTestTimers({ overrideGlobals: false }, clock);
+    const onSleep = jest.fn();
+    const callback = jest.fn();
+    timers.on('sleep', onSleep);
+    timers.scheduleAt(Date.UTC(2026, 0, 1, 12), callback);
+
+    clock.setSystemTime(new Date(Date.UTC(2026, 0, 1, 13)));
+    clock.advanceBy(1000);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(onSleep).toHaveBeenCalledWith({ duration: 13 * 3600000 });
+  });
+
+  test('works alongside Jest fake timers without either driving the other', () => {
+    jest.useFakeTimers();
+    timers = createTestTimers({ overrideGlobals: false });
+    const callback = jest.fn();
+    timers.setTimeout(callback, 100);
+
+    jest.advanceTimersByTime(1000);
+    expect(callback).not.toHaveBeenCalled();
+    timers.clock.advanceBy(100);
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  test('overrides and restores the globals like initTabSafeTimers', () => {
+    timers = createTestTimers();
+    const overridden = window.setTimeout;
+    const callback = jest.fn();
+    window.setTimeout(callback, 100);
+
+    timers.clock.advanceBy(100);
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    timers.destroy();
+    timers = null;
+    expect(window.setTimeout).not.toBe(overridden);
+  });
+
+  test('runs whenHidden timers on the fake clock too', () => {
+    timers = createTestTimers({ overrideGlobals: false, useWorker: 'whenHidden' }, new FakeClock(0));
+    const callback = jest.fn();
+    timers.setTimeout(callback, 100);
+
+    timers.clock.advanceBy(100);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  test('validates its arguments', () => {
+    const clock = new FakeClock(0);
+    expect(() => new FakeClock('now')).toThrow(TypeError);
+    expect(() => new TestTabSafeTimers({})).toThrow(TypeError);
+    expect(() => clock.advanceBy(-1)).toThrow(RangeError);
+    expect(() => clock.setSystemTime('tomorrow')).toThrow(TypeError);
+  });
+});
@@ -5,19 +5,645 @@
  * @license MIT
  */
 
+/**
+ * Names of the global timer functions that can be overridden
+ */
+export type GlobalTimerName = 'setTimeout' | 'setInterval' | 'clearTimeout' | 'clearInterval';
+
+/**
+ * Describes where an error reported to `onError` came from
+ */
+export interface TabSafeTimersErrorContext {
+  /** `callback` for exceptions thrown by timer callbacks, `task` for errors thrown by `runInWorker` tasks, `worker` for worker errors */
+  source: 'callback' | 'task' | 'worker';
+  /** Timer ID, for callback errors */
+  id?: number;
+  /** Timer type, for callback errors */
+  type?: 'interval' | 'timeout' | 'loop';
+}
+
+/**
+ * Options accepted by `initTabSafeTimers()` and the `TabSafeTimers` constructor.
+ * They are validated when `init()` runs.
+ */
+export interface TabSafeTimersOptions {
+  /**
+   * Global timer functions to replace with tab-safe versions.
+   * `true` replaces all of them, `false` none (use the instance methods instead).
+   * @default true
+   */
+  overrideGlobals?: boolean | GlobalTimerName[];
+  /**
+   * Receives callback and worker errors instead of `console.error`
+   */
+  onError?: (error: unknown, context: TabSafeTimersErrorContext) => void;
+  /**
+   * Load the worker from this URL instead of the embedded code, e.g. a file
+   * containing `WORKER_CODE` when your CSP blocks `blob:` workers
+   */
+  workerUrl?: string | URL;
+  /**
+   * Lower bound in milliseconds applied to every delay
+   * @default 0
+   */
+  minDelay?: number;
+  /**
+   * Schedule every interval tick against the interval's start time instead of
+   * the previous tick, so worker and message latency does not accumulate
+   * @default false
+   */
+  driftCorrection?: boolean;
+  /**
+   * Default policy for interval ticks missed while the main thread was busy
+   * @default 'burst'
+   */
+  catchUp?: CatchUpPolicy;
+  /**
+   * Run timers on native main-thread timers if the worker cannot be created or
+   * crashes, instead of throwing or leaving timers dead
+   * @default true
+   */
+  fallback?: boolean;
+  /**
+   * Restart the worker when it errors or stops answering heartbeat pings,
+   * re-registering every live timer under its original ID. `true` uses the defaults.
+   * @default false
+   */
+  supervisor?: boolean | SupervisorOptions;
+  /**
+   * Record the call stack that created each timer so `getActiveTimers()` can
+   * point at leaked intervals. Costs an `Error` allocation per timer.
+   * @default false
+   */
+  captureStacks?: boolean;
+  /**
+   * Queue worker commands until the end of the current task and send them as one
+   * message, and let the worker send ticks that fire together as one message
+   * @default false
+   */
+  batch?: boolean;
+  /**
+   * When timers run on the worker. `whenHidden` keeps them on native timers while the
+   * page is visible and moves them to the worker while it is hidden, keeping their IDs.
+   * @default 'always'
+   */
+  useWorker?: WorkerPolicy;
+  /**
+   * Period in milliseconds that intervals switch to while the page is hidden,
+   * e.g. to poll less often in background tabs. `null` keeps their own delay.
+   * @default null
+   */
+  backgroundDelay?: number | null;
+  /**
+   * Run the timers of every tab on one SharedWorker. Each tab keeps its own timer IDs.
+   * Falls back to a dedicated worker where SharedWorker is unavailable.
+   * @default false
+   */
+  sharedWorker?: boolean;
+  /**
+   * Milliseconds of unexplained time, between the wall clock and the worker's timers,
+   * reported as a `sleep` or `clockjump` event
+   * @default 5000
+   */
+  sleepThreshold?: number;
+  /**
+   * After the system sleeps, run timeouts whose delay elapsed on the wall clock right away
+   * instead of waiting out the time the monotonic clock missed
+   * @default false
+   */
+  fireOverdueOnWake?: boolean;
+  /**
+   * Let the overridden `setTimeout` and `setInterval` run code passed as a string,
+   * evaluated in global scope like native timers do
+   * @default false
+   */
+  stringHandlers?: boolean;
+}
+
+/**
+ * Settings for the worker supervisor
+ */
+export interface SupervisorOptions {
+  /**
+   * Milliseconds between heartbeat pings
+   * @default 5000
+   */
+  heartbeatInterval?: number;
+  /**
+   * Unanswered pings before the worker counts as unresponsive
+   * @default 3
+   */
+  maxMissedHeartbeats?: number;
+  /**
+   * Restarts before giving up and falling back to native timers
+   * @default 5
+   */
+  maxRestarts?: number;
+}
+
+/**
+ * Payload of the `init` event
+ */
+export interface InitEvent {
+  /** Backend the timers run on after initializing */
+  status: 'worker' | 'degraded' | 'server';
+  /** Kind of Web Worker the timers run on, `null` without one */
+  workerType: 'dedicated' | 'shared' | null;
+}
+
+/**
+ * Payload of the `destroy` event
+ */
+export interface DestroyEvent {
+  /** Timers that were still scheduled and got cleared, not counting frame loops and shared intervals */
+  activeTimers: number;
+}
+
+/**
+ * Payload of the `tick` event, emitted after each timer callback runs on the main thread
+ */
+export interface TickEvent extends TickInfo {
+  type: 'interval' | 'timeout';
+  /** Label given when the timer was scheduled */
+  label: string | null;
+  /** Milliseconds the callback ran for */
+  duration: number;
+  /** Whether the callback threw */
+  failed: boolean;
+}
+
+/**
+ * Payload of the `error` event: the error and where it came from, as passed to `onError`
+ */
+export interface TimerErrorEvent extends TabSafeTimersErrorContext {
+  error: unknown;
+}
+
+/**
+ * Payload of the `workererror` event, emitted when the worker reports an error
+ */
+export interface WorkerErrorEvent {
+  /** The worker's error event or error */
+  error: unknown;
+  /** Kind of Web Worker that failed */
+  workerType: 'dedicated' | 'shared' | null;
+}
+
+/**
+ * Payload of the `degraded` event
+ */
+export interface DegradedEvent {
+  /**
+   * `create` if the worker could not be created, `crash` if it failed later,
+   * `unresponsive` if it stopped answering the supervisor's heartbeats
+   */
+  reason: 'create' | 'crash' | 'unresponsive';
+  /** The error that made the worker unavailable */
+  error: unknown;
+}
+
+/**
+ * Payload of the `restart` event
+ */
+export interface RestartEvent {
+  /** `error` if the worker reported an error, `unresponsive` if it missed heartbeats */
+  reason: 'error' | 'unresponsive';
+  /** The error that triggered the restart */
+  error: unknown;
+  /** Restarts so far, including this one */
+  restarts: number;
+}
+
+/**
+ * Payload of the `sleep` event
+ */
+export interface SleepEvent {
+  /** Milliseconds that passed without the worker's timers running */
+  duration: number;
+}
+
+/**
+ * Payload of the `clockjump` event
+ */
+export interface ClockJumpEvent {
+  /** Milliseconds the wall clock moved relative to the monotonic clock, negative when it was set back */
+  delta: number;
+}
+
+/**
+ * Events emitted by `TabSafeTimers`, mapped to their payloads
+ */
+export interface TabSafeTimersEventMap {
+  init: InitEvent;
+  destroy: DestroyEvent;
+  tick: TickEvent;
+  /** Subscribing takes over from `console.error`, like the `onError` option */
+  error: TimerErrorEvent;
+  workererror: WorkerErrorEvent;
+  degraded: DegradedEvent;
+  restart: RestartEvent;
+  sleep: SleepEvent;
+  clockjump: ClockJumpEvent;
+}
+
+/**
+ * What an interval does with ticks that fell due while the main thread was busy:
+ * - `burst` runs the callback once per missed tick, back-to-back
+ * - `coalesce` runs it once as soon as the main thread is free, reporting the rest as skipped
+ * - `skip` drops them and waits for the next scheduled tick, which reports them as skipped
+ */
+export type CatchUpPolicy = 'burst' | 'coalesce' | 'skip';
+
+/**
+ * When a timer runs on the worker. `whenHidden` uses native main-thread timers while
+ * the page is visible and moves the timer to the worker while it is hidden.
+ */
+export type WorkerPolicy = 'always' | 'whenHidden';
+
+/**
+ * Options for `TabSafeTimers#scheduleInterval`
+ */
+export interface IntervalOptions<TArgs extends any[] = any[]> {
+  /** Arguments to pass to the callback */
+  args?: TArgs;
+  /** Overrides the instance-wide `catchUp` policy */
+  catchUp?: CatchUpPolicy;
+  /** Overrides the instance-wide `driftCorrection` setting */
+  driftCorrection?: boolean;
+  /** Clears the interval when aborted */
+  signal?: AbortSignal;
+  /** Name shown by `getActiveTimers()` */
+  label?: string;
+  /** Overrides the instance-wide `useWorker` policy */
+  useWorker?: WorkerPolicy;
+  /** Period while the page is hidden, overriding the instance-wide `backgroundDelay` */
+  backgroundDelay?: number | null;
+}
+
+/**
+ * Options for `TabSafeTimers#scheduleTimeout`
+ */
+export interface TimeoutOptions<TArgs extends any[] = any[]> {
+  /** Arguments to pass to the callback */
+  args?: TArgs;
+  /** Clears the timeout when aborted */
+  signal?: AbortSignal;
+  /** Name shown by `getActiveTimers()` */
+  label?: string;
+  /** Overrides the instance-wide `useWorker` policy */
+  useWorker?: WorkerPolicy;
+}
+
+/**
+ * Options for `TabSafeTimers#scheduleAt`
+ */
+export interface WallClockOptions<TArgs extends any[] = any[]> {
+  /** Arguments to pass to the callback */
+  args?: TArgs;
+  /** Clears the timer when aborted */
+  signal?: AbortSignal;
+  /** Name shown by `getActiveTimers()` */
+  label?: string;
+}
+
+/**
+ * Options for `TabSafeTimers#schedule`
+ */
+export interface CronOptions<TArgs extends any[] = any[]> extends WallClockOptions<TArgs> {
+  /** Match the expression against UTC instead of local time */
+  utc?: boolean;
+}
+
+/**
+ * Options for `TabSafeTimers#runInWorker`
+ */
+export interface WorkerTaskOptions<TData = any, TResult = any> {
+  /** Run every `delay` milliseconds instead of once */
+  interval?: boolean;
+  /** Structured-cloneable value passed to the task */
+  data?: TData;
+  /** Receives each value the task returns, after Promises settle */
+  onResult?: (value: TResult) => void;
+  /** Receives errors thrown in the worker, instead of the instance's `onError` */
+  onError?: (error: Error) => void;
+  /** Clears the task when aborted */
+  signal?: AbortSignal;
+  /** Name shown by `getActiveTimers()` */
+  label?: string;
+}
+
+/**
+ * Snapshot of a scheduled timer returned by `getActiveTimers()`.
+ * Times are epoch milliseconds.
+ */
+export interface ActiveTimerInfo {
+  id: number;
+  type: 'interval' | 'timeout';
+  /** Delay in milliseconds after sanitizing */
+  delay: number;
+  /** When the timer was created */
+  createdAt: number;
+  /** Estimate of when the timer fires next */
+  nextFireAt: number;
+  /** How many times the callback has run */
+  fireCount: number;
+  /** Whether the timer is paused with `pause()` */
+  paused: boolean;
+  /** Label passed when scheduling, or set by helpers such as `sleep` */
+  label: string | null;
+  /** Call stack that created the timer, only recorded with `captureStacks` */
+  stack: string | null;
+}
+
+/**
+ * Options for `TabSafeTimers#sleep`
+ */
+export interface SleepOptions {
+  /** Cancels the sleep, rejecting it with an `AbortError` */
+  signal?: AbortSignal;
+}
+
+/**
+ * Options for `TabSafeTimers#interval`
+ */
+export interface IntervalIteratorOptions<T = undefined> {
+  /** Value yielded for every tick */
+  value?: T;
+  /** Stops the interval and makes the iterator throw an `AbortError` */
+  signal?: AbortSignal;
+}
+
+/**
+ * Options for `TabSafeTimers#debounce`
+ */
+export interface DebounceOptions {
+  /**
+   * Call the function on the first call of a burst
+   * @default false
+   */
+  leading?: boolean;
+  /**
+   * Call the function when the burst ends, if it was called again after the leading call
+   * @default true
+   */
+  trailing?: boolean;
+  /** Longest time in milliseconds the call may be put off while calls keep coming, at least `wait` */
+  maxWait?: number;
+}
+
+/**
+ * Options for `TabSafeTimers#throttle`
+ */
+export interface ThrottleOptions {
+  /**
+   * Call the function right away on the first call
+   * @default true
+   */
+  leading?: boolean;
+  /**
+   * Call the function at the end of the period if it was called again meanwhile
+   * @default true
+   */
+  trailing?: boolean;
+}
+
+/**
+ * Function returned by `debounce` and `throttle`. Each call returns the result
+ * of the latest call of the wrapped function, `undefined` before the first one.
+ */
+export interface DebouncedFunction<F extends (...args: any[]) => any> {
+  (this: ThisParameterType<F>, ...args: Parameters<F>): ReturnType<F> | undefined;
+  /** Drop the pending call */
+  cancel(): void;
+  /** Run the pending call now and return its result, or the latest result if none is pending */
+  flush(): ReturnType<F> | undefined;
+  /** Whether a call is waiting to run */
+  pending(): boolean;
+}
+
+/**
+ * Options for `TabSafeTimers#setSharedInterval`
+ */
+export interface SharedIntervalOptions {
+  /**
+   * Milliseconds without a heartbeat from the leader before another tab takes over.
+   * The leader renews its lease every third of this.
+   * @default 5000
+   */
+  leaseDuration?: number;
+  /** Called with `true` when this tab becomes the leader and `false` when it stops leading */
+  onLeadershipChange?: (isLeader: boolean) => void;
+}
+
+/**
+ * Options for `TabSafeTimers#startLoop`
+ */
+export interface LoopOptions {
+  /**
+   * Target frame rate. While visible, frames follow the display rate when omitted;
+   * while hidden, the loop runs at 60fps when omitted.
+   */
+  fps?: number;
+}
+
+/**
+ * Timing of the tick whose callback is currently running.
+ * Times are epoch milliseconds with sub-millisecond precision.
+ */
+export interface TickInfo {
+  /** Timer ID */
+  id: number;
+  /** When the tick was due, or `null` if the worker did not report it */
+  scheduledTime: number | null;
+  /** When the worker actually fired the tick, or `null` if not reported */
+  firedTime: number | null;
+  /** `firedTime - scheduledTime`, never negative */
+  lateness: number;
+  /** Interval ticks that were missed and not run before this one */
+  skipped: number;
+}
+
+/**
+ * Group of timers that can be cancelled together, created by `TabSafeTimers#createScope`.
+ * Timers behave exactly like their instance counterparts.
+ */
+export interface TimerScope {
+  /** IDs of the scope's timers that are still scheduled */
+  readonly ids: Set<number>;
+  /** Number of the scope's timers that are still scheduled */
+  readonly size: number;
+  setInterval<TArgs extends any[]>(callback: (...args: TArgs) => void, delay?: number, ...args: TArgs): number;
+  setTimeout<TArgs extends any[]>(callback: (...args: TArgs) => void, delay?: number, ...args: TArgs): number;
+  scheduleInterval<TArgs extends any[]>(
+    callback: (...args: TArgs) => void,
+    delay?: number,
+    options?: IntervalOptions<TArgs>
+  ): number;
+  scheduleTimeout<TArgs extends any[]>(
+    callback: (...args: TArgs) => void,
+    delay?: number,
+    options?: TimeoutOptions<TArgs>
+  ): number;
+  scheduleAt<TArgs extends any[]>(
+    date: Date | number | string,
+    callback: (...args: TArgs) => void,
+    options?: WallClockOptions<TArgs>
+  ): number;
+  schedule<TArgs extends any[]>(expression: string, callback: (...args: TArgs) => void, options?: CronOptions<TArgs>): number;
+  /** Cancel one of the scope's timers, returns whether one was cleared */
+  clearInterval(id: number): boolean;
+  /** Cancel one of the scope's timers, returns whether one was cleared */
+  clearTimeout(id: number): boolean;
+  /** Cancel every timer in the scope with a single worker message, returns how many were cleared */
+  clearAll(): number;
+}
+
+/**
+ * Source of the timer worker, for serving it from your own origin
+ */
+export const WORKER_CODE: string;
+
 /**
  * TabSafeTimers class that manages Web Worker-based timers
  */
 export class TabSafeTimers {
+  constructor(options?: TabSafeTimersOptions);
   isInitialized: boolean;
+  /** Timing of the tick whose callback is currently running, `null` outside timer callbacks */
+  currentTick: TickInfo | null;
+  /**
+   * `worker` while timers run in a Web Worker, `degraded` while they run on native
+   * main-thread timers, `server` outside the browser (native passthrough, globals untouched)
+   */
+  status: 'idle' | 'worker' | 'degraded' | 'server';
+  /** Number of times the supervisor has restarted the worker */
+  restarts: number;
+  /** Kind of Web Worker the timers run on, `null` without one */
+  workerType: 'dedicated' | 'shared' | null;
   init(): boolean;
   destroy(): void;
+  /** Describe every timer that is still scheduled, oldest first */
+  getActiveTimers(): ActiveTimerInfo[];
+  /**
+   * Subscribe to an event, returns an unsubscribe function. Subscriptions outlive `destroy()`.
+   * @throws TypeError if the event is unknown
+   */
+  on<K extends keyof TabSafeTimersEventMap>(event: K, handler: (payload: TabSafeTimersEventMap[K]) => void): () => void;
+  /** Unsubscribe a handler passed to `on` */
+  off<K extends keyof TabSafeTimersEventMap>(event: K, handler: (payload: TabSafeTimersEventMap[K]) => void): void;
+  /** Schedule a repeating callback on the worker without touching globals */
+  setInterval<TArgs extends any[]>(callback: (...args: TArgs) => void, delay?: number, ...args: TArgs): number;
+  /** Schedule a repeating callback with per-interval options, cleared with `clearInterval` */
+  scheduleInterval<TArgs extends any[]>(
+    callback: (...args: TArgs) => void,
+    delay?: number,
+    options?: IntervalOptions<TArgs>
+  ): number;
+  /**
+   * Start a frame loop driven by requestAnimationFrame while the page is visible
+   * and by worker ticks while it is hidden
+   * @param callback - Receives milliseconds since the previous frame and the frame number
+   * @returns Loop ID for `stopLoop`
+   */
+  startLoop(callback: (deltaTime: number, frame: number) => void, options?: LoopOptions): number;
+  /** Stop a loop started with `startLoop`, returns whether one was stopped */
+  stopLoop(id: number): boolean;
+  /**
+   * Run an interval in only one of the tabs that register the same key. Tabs elect a
+   * leader over `BroadcastChannel` and another tab takes over when the leader closes.
+   */
+  setSharedInterval(key: string, callback: () => void, delay?: number, options?: SharedIntervalOptions): void;
+  /** Stop a shared interval in this tab, handing leadership over if this tab led. Returns whether one was stopped. */
+  clearSharedInterval(key: string): boolean;
+  /** Whether this tab currently runs the shared interval */
+  isSharedIntervalLeader(key: string): boolean;
+  /** Schedule a one-time callback on the worker without touching globals */
+  setTimeout<TArgs extends any[]>(callback: (...args: TArgs) => void, delay?: number, ...args: TArgs): number;
+  /** Schedule a one-time callback with per-timeout options, cleared with `clearTimeout` */
+  scheduleTimeout<TArgs extends any[]>(
+    callback: (...args: TArgs) => void,
+    delay?: number,
+    options?: TimeoutOptions<TArgs>
+  ): number;
+  /**
+   * Run a callback once at a wall-clock time, checked against `Date.now()` so it fires
+   * on time after system sleep or clock changes. Cleared with `clearTimeout`.
+   * @throws RangeError if the date is invalid
+   */
+  scheduleAt<TArgs extends any[]>(
+    date: Date | number | string,
+    callback: (...args: TArgs) => void,
+    options?: WallClockOptions<TArgs>
+  ): number;
+  /**
+   * Run a callback whenever a five-field cron expression (or a macro such as `@daily`)
+   * matches the wall clock. Cleared with `clearInterval`.
+   * @throws SyntaxError if the expression is malformed, RangeError if it never matches
+   */
+  schedule<TArgs extends any[]>(expression: string, callback: (...args: TArgs) => void, options?: CronOptions<TArgs>): number;
+  /**
+   * Run a function inside the worker so a busy main thread cannot delay it. The function is
+   * shipped as source: it cannot use outer variables and receives `options.data` instead.
+   * Cleared with `clearTimeout` or `clearInterval`.
+   * @throws TypeError if the function or `data` cannot be sent to the worker
+   */
+  runInWorker<TData = any, TResult = any>(
+    fn: (data: TData) => TResult | Promise<TResult>,
+    delay?: number,
+    options?: WorkerTaskOptions<TData, TResult>
+  ): number;
+  /**
+   * Wait for a delay on the worker. Rejects with a `DOMException` named
+   * `AbortError` if the signal is aborted first.
+   */
+  sleep(ms?: number, options?: SleepOptions): Promise<void>;
+  /** Yield to the event loop via a zero-delay worker round trip, like Node's `setImmediate` */
+  immediate<T = void>(value?: T, options?: SleepOptions): Promise<T>;
+  /**
+   * Iterate over worker interval ticks, like Node's `timers/promises` `setInterval`.
+   * A new tick is not delivered until the consumer asks for it; ticks that fall
+   * due meanwhile are coalesced into one.
+   */
+  interval<T = undefined>(delay?: number, options?: IntervalIteratorOptions<T>): AsyncIterableIterator<T>;
+  /**
+   * Create a function that calls `fn` once `wait` milliseconds have passed without another call,
+   * like lodash's `debounce`, timed by the worker. A burst of calls reschedules one timer.
+   * @throws TypeError if `fn` or an option is invalid
+   * @throws RangeError if `maxWait` is negative
+   */
+  debounce<F extends (...args: any[]) => any>(fn: F, wait?: number, options?: DebounceOptions): DebouncedFunction<F>;
+  /**
+   * Create a function that calls `fn` at most once every `wait` milliseconds, like lodash's
+   * `throttle`, timed by the worker
+   * @throws TypeError if `fn` or an option is invalid
+   */
+  throttle<F extends (...args: any[]) => any>(fn: F, wait?: number, options?: ThrottleOptions): DebouncedFunction<F>;
+  /** Pause a timer, keeping the time it has left. Returns whether a running timer was paused. */
+  pause(id: number): boolean;
+  /** Resume a paused timer with the time it had left. Returns whether a paused timer was resumed. */
+  resume(id: number): boolean;
+  /**
+   * Restart a timer with a new delay, which also becomes an interval's period.
+   * A paused timer stays paused. Returns whether a scheduled timer was changed,
+   * always `false` for `scheduleAt` and `schedule` timers.
+   */
+  reschedule(id: number, delay: number): boolean;
+  /** Restart a timer with its current delay, like Node's `timeout.refresh()` */
+  refresh(id: number): boolean;
+  /** Create a group of timers that can be cancelled together with `clearAll()` */
+  createScope(): TimerScope;
+  /** Cancel a timer created by this instance, returns whether one was cleared */
+  clearInterval(id: number): boolean;
+  /** Cancel a timer created by this instance, returns whether one was cleared */
+  clearTimeout(id: number): boolean;
 }
 
 /**
  * Initialize tab-safe timers
+ * @param options - Configuration options, ignored if already initialized
  * @returns The TabSafeTimers instance
- * @throws Error if initialization fails
+ * @throws TypeError or RangeError if an option is invalid
+ * @throws Error if the worker cannot be created and `fallback` is `false`
  * @example
  * ```javascript
  * import { initTabSafeTimers } from '@vorthain/tab-safe-timers';
@@ -27,9 +653,13 @@ export class TabSafeTimers {
  * setInterval(() => {
  *   console.log('This runs every second, even in background tabs!');
  * }, 1000);
+ *
+ * // Non-invasive mode
+ * const timers = initTabSafeTimers({ overrideGlobals: false });
+ * timers.setTimeout(() => console.log('tab-safe'), 1000);
  * ```
  */
-export function initTabSafeTimers(): TabSafeTimers;
+export function initTabSafeTimers(options?: TabSafeTimersOptions): TabSafeTimers;
 
 /**
  * Destroy the tab-safe timers system
@@ -1,3 +1,6 @@
+// Run in a zone with daylight saving time so local-time cron tests see real clock changes
+process.env.TZ = 'America/New_York';
+
 /** @type {import('jest').Config} */
 const config = {
   testEnvironment: 'jsdom',
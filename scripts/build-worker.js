@@ -0,0 +1,29 @@
+/**
+ * Copy the source of `timerWorker` (src/worker.js) into src/worker-code.js as a plain string literal.
+ * Bundlers and transpilers leave string literals alone, so the worker code stays self-contained
+ * even when the package is compiled for older browsers. Run with `npm run build:worker`.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+const source = readFileSync(new URL('../src/worker.js', import.meta.url), 'utf8');
+const start = source.indexOf('export function timerWorker(');
+if (start < 0) {
+  throw new Error('src/worker.js does not export timerWorker');
+}
+const code = `(${source.slice(start + 'export '.length).trim()})(self);\n`;
+
+const lines = code.split('\n').map((line) => `  ${JSON.stringify(line)},`);
+const output = `// Generated from src/worker.js by \`npm run build:worker\`. Do not edit.
+
+/**
+ * Source of the timer worker. Serve it as a file and pass its URL as the
+ * \`workerUrl\` option when your Content Security Policy blocks \`blob:\` workers.
+ * @type {string}
+ */
+export const WORKER_CODE = [
+${lines.join('\n')}
+].join('\\n');
+`;
+
+writeFileSync(new URL('../src/worker-code.js', import.meta.url), output);
@@ -5,250 +5,2819 @@
  * @license MIT
  */
 
-// Embedded worker code as a string
-const WORKER_CODE = `
-const intervalMap = new Map();
-const timeoutMap = new Map();
-
-self.onmessage = function (e) {
-  const { command, id, delay } = e.data;
-
-  switch (command) {
-    case 'setInterval': {
-      const intervalId = self.setInterval(() => {
-        self.postMessage({ type: 'tick', id: id });
+import { timerWorker } from './worker.js';
+import { WORKER_CODE } from './worker-code.js';
+
+export { WORKER_CODE };
+
+/**
+ * High resolution epoch time on the main thread, comparable with worker tick times.
+ * Falls back to `Date.now()` where `performance.timeOrigin` is unavailable or faked.
+ * @returns {number} Milliseconds since the epoch
+ */
+const now = () =>
+  typeof performance !== 'undefined' && typeof performance.timeOrigin === 'number'
+    ? performance.timeOrigin + performance.now()
+    : Date.now();
+
+/**
+ * Run the timer worker on the main thread using native timers. Used when a real
+ * worker cannot be created or has crashed, so timers keep running while throttled.
+ * @param {{setInterval: Function, setTimeout: Function, clearInterval: Function, clearTimeout: Function}} native - Native timer functions
+ * @returns {{postMessage: Function, terminate: Function, onmessage: Function|null, onerror: Function|null}} Worker-like object
+ */
+function createFallbackWorker(native) {
+  const handles = new Set();
+  let terminated = false;
+
+  const fallback = {
+    onmessage: null,
+    onerror: null,
+    postMessage(data) {
+      if (!terminated) {
+        scope.onmessage({ data });
+      }
+    },
+    terminate() {
+      terminated = true;
+      for (const handle of handles) {
+        native.clearTimeout(handle);
+        native.clearInterval(handle);
+      }
+      handles.clear();
+    },
+  };
+
+  const scope = {
+    performance: { timeOrigin: 0, now },
+    Date,
+    // Background tabs throttle these timers, so late ticks do not mean the system slept
+    throttled: true,
+    // Deliver asynchronously like a real worker so ticks never re-enter the caller
+    postMessage(data) {
+      queueMicrotask(() => {
+        if (!terminated && fallback.onmessage) {
+          fallback.onmessage({ data });
+        }
+      });
+    },
+    setTimeout(callback, delay) {
+      const handle = native.setTimeout(() => {
+        handles.delete(handle);
+        callback();
       }, delay);
-      intervalMap.set(id, intervalId);
-      break;
+      handles.add(handle);
+      return handle;
+    },
+    clearTimeout(handle) {
+      handles.delete(handle);
+      native.clearTimeout(handle);
+    },
+    setInterval(callback, delay) {
+      const handle = native.setInterval(callback, delay);
+      handles.add(handle);
+      return handle;
+    },
+    clearInterval(handle) {
+      handles.delete(handle);
+      native.clearInterval(handle);
+    },
+  };
+  timerWorker(scope);
+
+  return fallback;
+}
+
+/**
+ * Wrap a SharedWorker's port in the Worker interface the rest of the library uses
+ * @param {SharedWorker} sharedWorker - Connected shared worker
+ * @returns {{postMessage: Function, terminate: Function, onmessage: Function|null, onerror: Function|null}} Worker-like object
+ */
+function createSharedWorkerPort(sharedWorker) {
+  const { port } = sharedWorker;
+  let closed = false;
+  // The shared worker is not told when a tab closes, so say goodbye before the page unloads
+  const onPageHide = (event) => {
+    if (!event.persisted) {
+      wrapper.terminate();
+    }
+  };
+  const wrapper = {
+    onmessage: null,
+    onerror: null,
+    postMessage(data) {
+      port.postMessage(data);
+    },
+    // The shared worker outlives this tab, so only this port's timers are dropped
+    terminate() {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      window.removeEventListener('pagehide', onPageHide);
+      port.postMessage({ command: 'close' });
+      port.close();
+    },
+  };
+  window.addEventListener('pagehide', onPageHide);
+  port.onmessage = (e) => {
+    if (wrapper.onmessage) {
+      wrapper.onmessage(e);
+    }
+  };
+  sharedWorker.onerror = (error) => {
+    if (wrapper.onerror) {
+      wrapper.onerror(error);
+    }
+  };
+  if (typeof port.start === 'function') {
+    port.start();
+  }
+  return wrapper;
+}
+
+/**
+ * Create the error used to reject operations cancelled through an AbortSignal
+ * @returns {Error} A DOMException named `AbortError` where available
+ */
+function createAbortError() {
+  const message = 'The operation was aborted';
+  if (typeof DOMException === 'function') {
+    return new DOMException(message, 'AbortError');
+  }
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check that a value looks like an AbortSignal
+ * @param {any} signal - Value passed as the `signal` option
+ * @throws {TypeError} When the value is not an AbortSignal
+ */
+function validateSignal(signal) {
+  if (
+    signal === null ||
+    typeof signal !== 'object' ||
+    typeof signal.aborted !== 'boolean' ||
+    typeof signal.addEventListener !== 'function'
+  ) {
+    throw new TypeError('[TabSafeTimers] Invalid option "signal": expected an AbortSignal');
+  }
+}
+
+/**
+ * Capture the current call stack, without this helper's own frame
+ * @returns {string|null} Stack trace, or `null` where unavailable
+ */
+function captureStack() {
+  const { stack } = new Error();
+  if (typeof stack !== 'string') {
+    return null;
+  }
+  const lines = stack.split('\n');
+  // Drop the "Error" header and the captureStack frame where the format has them
+  return lines[0] === 'Error' ? lines.slice(2).join('\n') : stack;
+}
+
+/** Ways an interval can catch up on ticks missed while the main thread was busy */
+const CATCH_UP_POLICIES = ['burst', 'coalesce', 'skip'];
+
+/** When timers use the worker: always, or only while the page is hidden (native timers while visible) */
+const WORKER_POLICIES = ['always', 'whenHidden'];
+
+/** Supervisor settings used when `supervisor: true` */
+const DEFAULT_SUPERVISOR = {
+  heartbeatInterval: 5000,
+  maxMissedHeartbeats: 3,
+  maxRestarts: 5,
+};
+
+/** Frame rate used by hidden loops that did not ask for one */
+const DEFAULT_LOOP_FPS = 60;
+
+/** Milliseconds a shared interval's leader keeps its lease without renewing it */
+const DEFAULT_LEASE_DURATION = 5000;
+
+/** Milliseconds of unexplained time after which the worker reports sleep or a clock jump */
+const DEFAULT_SLEEP_THRESHOLD = 5000;
+
+/** Prefix of the BroadcastChannel used to coordinate each shared interval */
+const SHARED_CHANNEL_PREFIX = 'tab-safe-timers:';
+
+/** Typical display frame duration, used as tolerance when throttling animation frames */
+const DISPLAY_FRAME_DURATION = 1000 / 60;
+
+/**
+ * Whether the page is currently hidden
+ * @returns {boolean} `true` in a background tab or minimized window
+ */
+const isPageHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+/**
+ * Create an identifier for this tab, unique enough to break leadership ties
+ * @returns {string} Random identifier
+ */
+function createTabId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+/**
+ * Whether one leadership claim takes precedence over another: the earlier claim wins, then the lower tab ID
+ * @param {number} since - When the first claim was made
+ * @param {string} tabId - Tab that made the first claim
+ * @param {number} otherSince - When the second claim was made
+ * @param {string} otherTabId - Tab that made the second claim
+ * @returns {boolean} Whether the first claim wins
+ */
+const precedes = (since, tabId, otherSince, otherTabId) =>
+  since < otherSince || (since === otherSince && tabId < otherTabId);
+
+/** Cron fields in expression order, with their ranges and the names they accept */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // Sunday is both 0 and 7
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/** Shorthands accepted in place of a five-field cron expression */
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+/** How far ahead to look for a cron match. Eight years always include a February 29th. */
+const CRON_SEARCH_YEARS = 8;
+
+/**
+ * Parse one field of a cron expression into a lookup table of the values it allows
+ * @param {string} text - Field text, e.g. `1-5`, `0/15` or `mon,wed`
+ * @param {{name: string, min: number, max: number, names?: string[]}} field - Field definition
+ * @param {string} expression - Whole expression, for error messages
+ * @returns {boolean[]} `allowed[value]` is true for every matching value
+ * @throws {SyntaxError} When the field is malformed or out of range
+ */
+function parseCronField(text, field, expression) {
+  const invalid = () => new SyntaxError(`[TabSafeTimers] Invalid cron expression "${expression}": bad ${field.name} "${text}"`);
+  const value = (token) => {
+    const index = field.names ? field.names.indexOf(token) : -1;
+    const number = index >= 0 ? index + field.min : /^\d+$/.test(token) ? Number(token) : NaN;
+    if (!(number >= field.min && number <= field.max)) {
+      throw invalid();
+    }
+    return number;
+  };
+
+  const allowed = new Array(field.max + 1).fill(false);
+  for (const part of text.split(',')) {
+    const match = /^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw invalid();
+    }
+    const step = match[2] === undefined ? 1 : Number(match[2]);
+    let start = field.min;
+    let end = field.max;
+    if (match[1] !== '*') {
+      const [first, last] = match[1].split('-');
+      start = value(first);
+      // `5/15` means every 15 starting at 5
+      end = last !== undefined ? value(last) : match[2] !== undefined ? field.max : start;
+    }
+    if (step < 1 || start > end) {
+      throw invalid();
+    }
+    for (let current = start; current <= end; current += step) {
+      allowed[current] = true;
+    }
+  }
+  return allowed;
+}
+
+/**
+ * Parse a five-field cron expression (`minute hour day-of-month month day-of-week`)
+ * @param {string} expression - Cron expression or macro such as `@daily`
+ * @param {boolean} utc - Match against UTC instead of local time
+ * @returns {{minute: boolean[], hour: boolean[], dayOfMonth: boolean[], month: boolean[], dayOfWeek: boolean[], anyDayOfMonth: boolean, anyDayOfWeek: boolean, utc: boolean}} Parsed schedule
+ * @throws {TypeError} When the expression is not a string
+ * @throws {SyntaxError} When the expression is malformed
+ */
+function parseCron(expression, utc) {
+  if (typeof expression !== 'string') {
+    throw new TypeError('[TabSafeTimers] Cron expression must be a string');
+  }
+  const source = expression.trim().toLowerCase();
+  const fields = (CRON_MACROS[source] || source).split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new SyntaxError(`[TabSafeTimers] Invalid cron expression "${expression}": expected 5 fields`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((text, index) =>
+    parseCronField(text, CRON_FIELDS[index], expression),
+  );
+  dayOfWeek[0] = dayOfWeek[0] || dayOfWeek[7];
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Like Vixie cron: when both day fields are restricted, a day matching either one runs
+    anyDayOfMonth: fields[2].startsWith('*'),
+    anyDayOfWeek: fields[4].startsWith('*'),
+    utc,
+  };
+}
+
+/**
+ * Find the first minute after a time that a cron schedule matches
+ * @param {ReturnType<typeof parseCron>} cron - Parsed schedule
+ * @param {number} after - Epoch milliseconds to search from, exclusive
+ * @returns {number|null} Epoch milliseconds of the next match, or `null` if there is none
+ */
+function nextCronTime(cron, after) {
+  const date = new Date(after);
+  const zone = cron.utc ? 'UTC' : '';
+  const get = (unit) => date[`get${zone}${unit}`]();
+  const set = (unit, ...values) => date[`set${zone}${unit}`](...values);
+
+  set('Minutes', get('Minutes') + 1, 0, 0);
+  const lastYear = get('FullYear') + CRON_SEARCH_YEARS;
+  let previous = after;
+  // Skip ahead by the largest unit that does not match, so this takes a few hundred steps at most
+  while (get('FullYear') <= lastYear) {
+    // In the hour repeated when clocks go back, local setters land on its first pass, behind where
+    // the search already is. Step to the next whole minute instead so the result is always later.
+    if (date.getTime() <= previous) {
+      date.setTime(Math.floor(previous / 60000) * 60000 + 60000);
+    }
+    previous = date.getTime();
+    if (!cron.month[get('Month') + 1]) {
+      set('Month', get('Month') + 1, 1);
+      set('Hours', 0, 0, 0, 0);
+      continue;
+    }
+    const dayOfMonth = cron.dayOfMonth[get('Date')];
+    const dayOfWeek = cron.dayOfWeek[get('Day')];
+    if (cron.anyDayOfMonth || cron.anyDayOfWeek ? !(dayOfMonth && dayOfWeek) : !(dayOfMonth || dayOfWeek)) {
+      set('Date', get('Date') + 1);
+      set('Hours', 0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour[get('Hours')]) {
+      set('Hours', get('Hours') + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute[get('Minutes')]) {
+      set('Minutes', get('Minutes') + 1, 0, 0);
+      continue;
+    }
+    return date.getTime();
+  }
+  return null;
+}
+
+/**
+ * Turn a function into source the worker can compile on its own
+ * @param {Function} fn - Function to run in the worker
+ * @returns {string} Function source
+ * @throws {TypeError} When the function cannot be rebuilt from its source
+ */
+function serializeTask(fn) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('[TabSafeTimers] Worker task must be a function');
+  }
+  const source = Function.prototype.toString.call(fn).trim();
+  if (/\{\s*\[native code\]\s*\}$/.test(source)) {
+    throw new TypeError('[TabSafeTimers] Worker task cannot be serialized: native and bound functions have no source');
+  }
+  // Method shorthand (`run() {}`) and classes are not expressions the worker can evaluate
+  if (!/^(async\s*)?(function\b|\(|[\w$]+\s*=>)/.test(source)) {
+    throw new TypeError('[TabSafeTimers] Worker task cannot be serialized: use a function expression or an arrow function');
+  }
+  return source;
+}
+
+/** Global timer functions that can be overridden */
+const GLOBAL_TIMER_NAMES = ['setTimeout', 'setInterval', 'clearTimeout', 'clearInterval'];
+
+/** Events `on` accepts */
+const TIMER_EVENTS = ['init', 'destroy', 'tick', 'error', 'workererror', 'degraded', 'restart', 'sleep', 'clockjump'];
+
+/**
+ * First timer ID handed out. Native timer IDs count up from 1, so starting halfway up
+ * the `long` range keeps the two apart and the overridden clear functions can tell them apart.
+ */
+const TIMER_ID_BASE = 0x40000000;
+
+/** Largest timer ID: IDs are WebIDL `long`s, after which numbering wraps back to the base */
+const MAX_TIMER_ID = 0x7fffffff;
+
+/** Nesting level above which the HTML spec clamps short timeouts */
+const MAX_TIMER_NESTING = 5;
+
+/** Delay short timeouts are clamped to once nested too deeply */
+const NESTED_TIMER_MIN_DELAY = 4;
+
+/**
+ * Convert a value the way WebIDL converts a `long`: ToNumber, then wrap to 32 bits.
+ * `NaN` and infinities become 0 and `2 ** 31` wraps to a negative number.
+ * @param {any} value - Value to convert
+ * @returns {number} 32-bit integer
+ * @throws {TypeError} For symbols and BigInts, like the native conversion
+ */
+const toLong = (value) => +value | 0;
+
+/**
+ * Validate user options and fill in defaults
+ * @param {Object} options - Options passed to the constructor
+ * @returns {{overrideGlobals: string[], onError: Function|null, workerUrl: string|null, minDelay: number, driftCorrection: boolean, catchUp: string, fallback: boolean, supervisor: Object|null, captureStacks: boolean, batch: boolean, useWorker: string, backgroundDelay: number|null, sharedWorker: boolean, sleepThreshold: number, fireOverdueOnWake: boolean, stringHandlers: boolean}} Resolved options
+ * @throws {TypeError} When an option has the wrong type
+ * @throws {RangeError} When an option is out of range
+ */
+function resolveOptions(options) {
+  if (options === null || typeof options !== 'object') {
+    throw new TypeError('[TabSafeTimers] Options must be an object');
+  }
+
+  const {
+    overrideGlobals = true,
+    onError = null,
+    workerUrl = null,
+    minDelay = 0,
+    driftCorrection = false,
+    catchUp = 'burst',
+    fallback = true,
+    supervisor = false,
+    captureStacks = false,
+    batch = false,
+    useWorker = 'always',
+    backgroundDelay = null,
+    sharedWorker = false,
+    sleepThreshold = DEFAULT_SLEEP_THRESHOLD,
+    fireOverdueOnWake = false,
+    stringHandlers = false,
+  } = options;
+
+  let overrides;
+  if (typeof overrideGlobals === 'boolean') {
+    overrides = overrideGlobals ? [...GLOBAL_TIMER_NAMES] : [];
+  } else if (Array.isArray(overrideGlobals)) {
+    const unknown = overrideGlobals.find((name) => !GLOBAL_TIMER_NAMES.includes(name));
+    if (unknown !== undefined) {
+      throw new TypeError(
+        `[TabSafeTimers] Invalid option "overrideGlobals": unknown timer "${unknown}", expected one of ${GLOBAL_TIMER_NAMES.join(', ')}`
+      );
+    }
+    overrides = [...new Set(overrideGlobals)];
+  } else {
+    throw new TypeError('[TabSafeTimers] Invalid option "overrideGlobals": expected a boolean or an array of timer names');
+  }
+
+  if (onError !== null && typeof onError !== 'function') {
+    throw new TypeError('[TabSafeTimers] Invalid option "onError": expected a function');
+  }
+
+  if (workerUrl !== null && typeof workerUrl !== 'string' && !(workerUrl instanceof URL)) {
+    throw new TypeError('[TabSafeTimers] Invalid option "workerUrl": expected a string or URL');
+  }
+
+  if (typeof minDelay !== 'number' || !Number.isFinite(minDelay) || minDelay < 0) {
+    throw new RangeError('[TabSafeTimers] Invalid option "minDelay": expected a non-negative finite number');
+  }
+
+  if (typeof driftCorrection !== 'boolean') {
+    throw new TypeError('[TabSafeTimers] Invalid option "driftCorrection": expected a boolean');
+  }
+
+  if (!CATCH_UP_POLICIES.includes(catchUp)) {
+    throw new TypeError(`[TabSafeTimers] Invalid option "catchUp": expected one of ${CATCH_UP_POLICIES.join(', ')}`);
+  }
+
+  if (typeof fallback !== 'boolean') {
+    throw new TypeError('[TabSafeTimers] Invalid option "fallback": expected a boolean');
+  }
+
+  let supervisorOptions = null;
+  if (supervisor === true) {
+    supervisorOptions = { ...DEFAULT_SUPERVISOR };
+  } else if (supervisor !== null && typeof supervisor === 'object') {
+    supervisorOptions = { ...DEFAULT_SUPERVISOR, ...supervisor };
+    for (const key of Object.keys(DEFAULT_SUPERVISOR)) {
+      const value = supervisorOptions[key];
+      if (typeof value !== 'number' || !Number.isInteger(value) || value < (key === 'maxRestarts' ? 0 : 1)) {
+        throw new RangeError(`[TabSafeTimers] Invalid option "supervisor.${key}": expected a positive integer`);
+      }
+    }
+  } else if (supervisor !== false && supervisor !== null) {
+    // `null` is what an earlier init() resolved `false` to, when the instance is initialized again
+    throw new TypeError('[TabSafeTimers] Invalid option "supervisor": expected a boolean or an object');
+  }
+
+  if (typeof captureStacks !== 'boolean') {
+    throw new TypeError('[TabSafeTimers] Invalid option "captureStacks": expected a boolean');
+  }
+
+  if (typeof batch !== 'boolean') {
+    throw new TypeError('[TabSafeTimers] Invalid option "batch": expected a boolean');
+  }
+
+  if (!WORKER_POLICIES.includes(useWorker)) {
+    throw new TypeError(`[TabSafeTimers] Invalid option "useWorker": expected one of ${WORKER_POLICIES.join(', ')}`);
+  }
+
+  if (backgroundDelay !== null && (typeof backgroundDelay !== 'number' || !Number.isFinite(backgroundDelay) || backgroundDelay < 0)) {
+    throw new RangeError('[TabSafeTimers] Invalid option "backgroundDelay": expected a non-negative finite number');
+  }
+
+  if (typeof sharedWorker !== 'boolean') {
+    throw new TypeError('[TabSafeTimers] Invalid option "sharedWorker": expected a boolean');
+  }
+
+  if (typeof sleepThreshold !== 'number' || !Number.isFinite(sleepThreshold) || sleepThreshold <= 0) {
+    throw new RangeError('[TabSafeTimers] Invalid option "sleepThreshold": expected a positive finite number');
+  }
+
+  if (typeof fireOverdueOnWake !== 'boolean') {
+    throw new TypeError('[TabSafeTimers] Invalid option "fireOverdueOnWake": expected a boolean');
+  }
+
+  if (typeof stringHandlers !== 'boolean') {
+    throw new TypeError('[TabSafeTimers] Invalid option "stringHandlers": expected a boolean');
+  }
+
+  return {
+    overrideGlobals: overrides,
+    onError,
+    workerUrl: workerUrl === null ? null : String(workerUrl),
+    minDelay,
+    driftCorrection,
+    catchUp,
+    fallback,
+    supervisor: supervisorOptions,
+    captureStacks,
+    batch,
+    useWorker,
+    backgroundDelay,
+    sharedWorker,
+    sleepThreshold,
+    fireOverdueOnWake,
+    stringHandlers,
+  };
+}
+
+/**
+ * @class TabSafeTimers
+ * @description Manages Web Worker-based timers that bypass background tab throttling
+ */
+export class TabSafeTimers {
+  /**
+   * @param {Object} [options] - Configuration options, validated by `init()`
+   * @param {boolean|string[]} [options.overrideGlobals=true] - Global timer functions to replace, `true` for all, `false` for none
+   * @param {Function} [options.onError] - Receives `(error, context)` instead of `console.error`
+   * @param {string|URL} [options.workerUrl] - Load the worker from this URL instead of the embedded code
+   * @param {number} [options.minDelay=0] - Lower bound in milliseconds applied to every delay
+   * @param {boolean} [options.driftCorrection=false] - Schedule interval ticks against their start time so latency does not accumulate
+   * @param {'burst'|'coalesce'|'skip'} [options.catchUp='burst'] - Default policy for interval ticks missed while the main thread was busy
+   * @param {boolean} [options.fallback=true] - Run timers on native main-thread timers if the worker cannot be created or crashes
+   * @param {boolean|Object} [options.supervisor=false] - Restart the worker when it errors or stops answering heartbeats
+   * @param {number} [options.supervisor.heartbeatInterval=5000] - Milliseconds between heartbeat pings
+   * @param {number} [options.supervisor.maxMissedHeartbeats=3] - Unanswered pings before the worker counts as unresponsive
+   * @param {number} [options.supervisor.maxRestarts=5] - Restarts before falling back to native timers
+   * @param {boolean} [options.captureStacks=false] - Record the call stack that created each timer, for `getActiveTimers()`
+   * @param {boolean} [options.batch=false] - Send worker commands and ticks in one message per task instead of one per timer
+   * @param {'always'|'whenHidden'} [options.useWorker='always'] - Default for when timers use the worker; `whenHidden` uses native timers while the page is visible
+   * @param {number} [options.backgroundDelay] - Default period for intervals while the page is hidden
+   * @param {boolean} [options.sharedWorker=false] - Run timers on one SharedWorker for all tabs where supported
+   * @param {number} [options.sleepThreshold=5000] - Milliseconds of unexplained time reported as a `sleep` or `clockjump` event
+   * @param {boolean} [options.fireOverdueOnWake=false] - Run timeouts that fell due while the system slept as soon as it wakes
+   * @param {boolean} [options.stringHandlers=false] - Let the overridden `setTimeout` and `setInterval` run code passed as a string
+   */
+  constructor(options = {}) {
+    /** @type {Object} */
+    this.options = options;
+    /** @type {boolean} */
+    this.isInitialized = false;
+    /** @type {Worker|null} */
+    this.worker = null;
+    /** @type {string|null} */
+    this.workerUrl = null;
+    /**
+     * Kind of Web Worker the timers run on, `null` without one
+     * @type {'dedicated'|'shared'|null}
+     */
+    this.workerType = null;
+    /** @type {Map<number, {type: string, callback: Function, args: any[], delay: number, createdAt: number, nextFireAt: number, fireCount: number, label: string|null, stack: string|null, scope: TimerScope|null, paused: boolean, remaining: number|null, expired: boolean, useWorker: string, backgroundDelay: number|null, native: boolean, catchUp?: string, driftCorrection?: boolean, manualAck?: boolean, signal?: AbortSignal, onAbort?: Function, thisArg: any, nestingLevel: number, restarted?: boolean}>} */
+    this.callbacks = new Map();
+    /**
+     * Last timer ID handed out, see `TIMER_ID_BASE`
+     * @type {number}
+     */
+    this.idCounter = TIMER_ID_BASE - 1;
+    /** @type {{setInterval: Function, setTimeout: Function, clearInterval: Function, clearTimeout: Function}|null} */
+    this.native = null;
+    /**
+     * Timing of the tick whose callback is currently running, `null` outside callbacks.
+     * Times are epoch milliseconds with sub-millisecond precision.
+     * @type {{id: number, scheduledTime: number|null, firedTime: number|null, lateness: number, skipped: number}|null}
+     */
+    this.currentTick = null;
+    /**
+     * HTML timer nesting level of the callback that is currently running, 0 outside timer callbacks
+     * @type {number}
+     */
+    this.nestingLevel = 0;
+    /**
+     * `worker` while timers run in a Web Worker, `degraded` while they run on native main-thread timers,
+     * `server` outside the browser, where they run on the native timers without patching globals
+     * @type {'idle'|'worker'|'degraded'|'server'}
+     */
+    this.status = 'idle';
+    /** @type {Map<string, Set<Function>>} */
+    this.listeners = new Map();
+    /**
+     * Number of times the supervisor has restarted the worker
+     * @type {number}
+     */
+    this.restarts = 0;
+    /** @type {{timer: any, seq: number, awaiting: boolean, missed: number}|null} */
+    this.heartbeat = null;
+    /** @type {Map<number, {callback: Function, frameDuration: number, throttle: boolean, frame: number, lastTime: number, rafId: number|null, timerId: number|null}>} */
+    this.loops = new Map();
+    /** @type {Function|null} */
+    this.visibilityListener = null;
+    /**
+     * Visibility seen by the last `visibilitychange` handled, while the listener is attached
+     * @type {boolean}
+     */
+    this.hidden = false;
+    /**
+     * IDs of timers whose backend or period depends on page visibility
+     * @type {Set<number>}
+     */
+    this.visibilityTimers = new Set();
+    /**
+     * Runs the worker protocol on native main-thread timers for `useWorker: 'whenHidden'` timers while the page is visible
+     * @type {{postMessage: Function, terminate: Function, onmessage: Function|null}|null}
+     */
+    this.nativeWorker = null;
+    /**
+     * Commands waiting to be sent to the worker in one message when `batch` is on
+     * @type {Object[]|null}
+     */
+    this.outbox = null;
+    /** @type {Map<string, {key: string, callback: Function, delay: number, leaseDuration: number, onLeadershipChange: Function|null, channel: BroadcastChannel|null, leader: boolean, since: number, leaderId: string|null, leaderSince: number, leaseExpiresAt: number, timerId: number|null, leaseTimerId: number|null}>} */
+    this.sharedIntervals = new Map();
+    /**
+     * Identifies this tab to other tabs running the same shared intervals
+     * @type {string|null}
+     */
+    this.tabId = null;
+    /** @type {Function|null} */
+    this.pageHideListener = null;
+  }
+
+  /**
+   * Initialize the tab-safe timers system. Outside the browser it starts in `server` mode,
+   * a passthrough to the native timers that never touches the globals.
+   * @returns {boolean} Success status
+   * @throws {TypeError|RangeError} When an option is invalid
+   * @throws {Error} When Workers are not supported and `fallback` is disabled
+   */
+  init() {
+    if (this.isInitialized) {
+      return false;
+    }
+
+    this.options = resolveOptions(this.options);
+
+    // Outside the browser (SSR, Node) there is no tab to throttle: run the worker
+    // protocol in-process on the native timers and leave the globals alone
+    if (typeof window === 'undefined') {
+      this.native = {
+        setInterval: globalThis.setInterval.bind(globalThis),
+        setTimeout: globalThis.setTimeout.bind(globalThis),
+        clearInterval: globalThis.clearInterval.bind(globalThis),
+        clearTimeout: globalThis.clearTimeout.bind(globalThis),
+      };
+      this.worker = this.createNativeBackend();
+      this.attachWorker();
+      this.status = 'server';
+      this.isInitialized = true;
+      this.emit('init', { status: this.status, workerType: this.workerType });
+      return true;
+    }
+
+    // Store native timer functions
+    this.native = {
+      setInterval: window.setInterval.bind(window),
+      setTimeout: window.setTimeout.bind(window),
+      clearInterval: window.clearInterval.bind(window),
+      clearTimeout: window.clearTimeout.bind(window),
+    };
+
+    let workerError = null;
+    try {
+      ({ worker: this.worker, url: this.workerUrl, type: this.workerType } = this.createWorker());
+      this.status = 'worker';
+    } catch (error) {
+      if (!this.options.fallback) {
+        throw error;
+      }
+      workerError = error;
+    }
+    if (this.worker) {
+      this.attachWorker();
+    }
+
+    this.overrideGlobalTimers();
+
+    this.isInitialized = true;
+    if (workerError) {
+      this.degrade('create', workerError);
+    } else if (this.options.supervisor) {
+      this.startHeartbeat();
+    }
+    this.emit('init', { status: this.status, workerType: this.workerType });
+    return true;
+  }
+
+  /**
+   * Wire the current worker's message and error handlers to this instance
+   * @private
+   */
+  attachWorker() {
+    this.worker.onmessage = (e) => {
+      if (e.data.type === 'tick') {
+        this.dispatchTick(e.data, false);
+      } else if (e.data.type === 'ticks') {
+        for (const tick of e.data.ticks) {
+          this.dispatchTick(tick, false);
+        }
+      } else if (e.data.type === 'pong' && this.heartbeat && e.data.seq === this.heartbeat.seq) {
+        this.heartbeat.awaiting = false;
+        this.heartbeat.missed = 0;
+      } else if (e.data.type === 'result' || e.data.type === 'taskerror') {
+        this.dispatchTaskResult(e.data);
+      } else if (e.data.type === 'sleep') {
+        this.emit('sleep', { duration: e.data.duration });
+      } else if (e.data.type === 'clockjump') {
+        this.emit('clockjump', { delta: e.data.delta });
+      }
+    };
+
+    this.worker.onerror = (error) => {
+      this.emit('workererror', { error, workerType: this.workerType });
+      this.handleError(error, { source: 'worker' });
+      if (this.options.supervisor) {
+        this.restartWorker('error', error);
+      } else if (this.options.fallback) {
+        this.degrade('crash', error);
+      }
+    };
+
+    // Only settings that differ from the worker's defaults are sent
+    const settings = {};
+    if (this.options.batch) {
+      settings.batch = true;
+    }
+    if (this.options.sleepThreshold !== DEFAULT_SLEEP_THRESHOLD) {
+      settings.sleepThreshold = this.options.sleepThreshold;
+    }
+    if (this.options.fireOverdueOnWake) {
+      settings.fireOverdue = true;
+    }
+    if (Object.keys(settings).length > 0) {
+      this.worker.postMessage({ command: 'configure', ...settings });
+    }
+  }
+
+  /**
+   * Send a command to the worker, or queue it for the next batch when `batch` is on
+   * @private
+   * @param {Object} message - Worker command
+   */
+  post(message) {
+    if (!this.options.batch) {
+      this.worker.postMessage(message);
+      return;
+    }
+    if (!this.outbox) {
+      this.outbox = [];
+      queueMicrotask(() => this.flushCommands());
+    }
+    this.outbox.push(message);
+  }
+
+  /**
+   * Send a command about a timer to the backend that runs it
+   * @private
+   * @param {{native: boolean}} entry - Entry from `callbacks`
+   * @param {Object} message - Worker command
+   */
+  send(entry, message) {
+    if (entry.native) {
+      this.nativeWorker.postMessage(message);
+    } else {
+      this.post(message);
+    }
+  }
+
+  /**
+   * Get the main-thread backend used by `useWorker: 'whenHidden'` timers, creating it on first use
+   * @private
+   * @returns {{postMessage: Function, terminate: Function}} Worker-like object
+   */
+  getNativeWorker() {
+    if (!this.nativeWorker) {
+      this.nativeWorker = this.createNativeBackend();
+      this.nativeWorker.onmessage = (e) => {
+        if (e.data.type === 'tick') {
+          this.dispatchTick(e.data, true);
+        }
+      };
+    }
+    return this.nativeWorker;
+  }
+
+  /**
+   * Stop the native backend and mark its timers as worker-backed again, without re-registering them
+   * @private
+   */
+  disposeNativeWorker() {
+    if (this.nativeWorker) {
+      this.nativeWorker.terminate();
+      this.nativeWorker = null;
+    }
+    for (const entry of this.callbacks.values()) {
+      entry.native = false;
+    }
+  }
+
+  /**
+   * Whether an entry should currently run on native timers instead of the worker
+   * @private
+   * @param {{useWorker: string}} entry - Entry from `callbacks`
+   * @returns {boolean} `true` for `whenHidden` timers while a real worker is in use and the page is visible
+   */
+  prefersNative(entry) {
+    return entry.useWorker === 'whenHidden' && this.status === 'worker' && !isPageHidden();
+  }
+
+  /**
+   * Period an interval should run at for the current page visibility
+   * @private
+   * @param {{type: string, delay: number, backgroundDelay: number|null}} entry - Entry from `callbacks`
+   * @returns {number} Delay in milliseconds
+   */
+  currentDelay(entry) {
+    return entry.type === 'interval' && entry.backgroundDelay !== null && isPageHidden() ? entry.backgroundDelay : entry.delay;
+  }
+
+  /**
+   * Move timers between the worker and native timers, and switch background periods,
+   * after the page visibility changed. IDs stay the same.
+   * @private
+   */
+  applyVisibility() {
+    const hidden = isPageHidden();
+    if (hidden === this.hidden) {
+      return;
+    }
+    this.hidden = hidden;
+
+    for (const id of [...this.visibilityTimers]) {
+      const entry = this.callbacks.get(id);
+      const native = this.prefersNative(entry);
+      const periodChanged = entry.type === 'interval' && entry.backgroundDelay !== null && entry.backgroundDelay !== entry.delay;
+      if (native !== entry.native) {
+        const remaining = periodChanged ? this.currentDelay(entry) : this.remainingTime(entry);
+        this.send(entry, { command: 'clearTimeout', id });
+        entry.native = native;
+        if (native) {
+          this.getNativeWorker();
+        }
+        if (entry.paused) {
+          entry.remaining = remaining;
+        } else {
+          entry.nextFireAt = this.now() + remaining;
+        }
+        this.registerTimer(id, entry, remaining);
+      } else if (periodChanged) {
+        this.restartTimer(id, entry, { command: 'reschedule', id, delay: this.currentDelay(entry) });
+      }
+    }
+  }
+
+  /**
+   * Listen for `visibilitychange` while loops or visibility-aware timers exist
+   * @private
+   */
+  watchVisibility() {
+    if (this.visibilityListener || typeof document === 'undefined') {
+      return;
+    }
+    this.hidden = isPageHidden();
+    this.visibilityListener = () => {
+      this.applyVisibility();
+      for (const loopId of this.loops.keys()) {
+        this.driveLoop(loopId);
+      }
+    };
+    document.addEventListener('visibilitychange', this.visibilityListener);
+  }
+
+  /**
+   * Stop listening for `visibilitychange` once nothing depends on it
+   * @private
+   */
+  unwatchVisibility() {
+    if (this.visibilityListener && this.loops.size === 0 && this.visibilityTimers.size === 0) {
+      document.removeEventListener('visibilitychange', this.visibilityListener);
+      this.visibilityListener = null;
+    }
+  }
+
+  /**
+   * Send every queued command to the worker in a single message
+   * @private
+   */
+  flushCommands() {
+    const commands = this.outbox;
+    this.outbox = null;
+    if (!commands || commands.length === 0 || !this.worker) {
+      return;
+    }
+    this.worker.postMessage(commands.length === 1 ? commands[0] : { command: 'batch', commands });
+  }
+
+  /**
+   * Ping the worker periodically and restart it when it stops answering
+   * @private
+   */
+  startHeartbeat() {
+    const { heartbeatInterval, maxMissedHeartbeats } = this.options.supervisor;
+    this.heartbeat = { timer: null, seq: 0, awaiting: false, missed: 0 };
+    this.heartbeat.timer = this.native.setInterval(() => {
+      const heartbeat = this.heartbeat;
+      if (heartbeat.awaiting) {
+        heartbeat.missed++;
+        if (heartbeat.missed >= maxMissedHeartbeats) {
+          this.restartWorker('unresponsive', new Error('[TabSafeTimers] Worker stopped responding'));
+        }
+        return;
+      }
+      heartbeat.awaiting = true;
+      heartbeat.seq++;
+      this.post({ command: 'ping', seq: heartbeat.seq });
+    }, heartbeatInterval);
+  }
+
+  /**
+   * Stop the heartbeat started by `startHeartbeat`
+   * @private
+   */
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      this.native.clearInterval(this.heartbeat.timer);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Replace the worker with a fresh one and re-register every live timer under its original ID
+   * @private
+   * @param {'error'|'unresponsive'} reason - Why the worker is being restarted
+   * @param {any} error - The error that triggered the restart
+   */
+  restartWorker(reason, error) {
+    if (this.restarts >= this.options.supervisor.maxRestarts) {
+      this.abandonWorker(reason === 'error' ? 'crash' : reason, error);
+      return;
+    }
+
+    let created;
+    try {
+      created = this.createWorker();
+    } catch (createError) {
+      this.abandonWorker('create', createError);
+      return;
+    }
+    this.disposeWorker();
+    ({ worker: this.worker, url: this.workerUrl, type: this.workerType } = created);
+    this.restarts++;
+    this.attachWorker();
+    this.rehydrate();
+    if (this.heartbeat) {
+      this.heartbeat.awaiting = false;
+      this.heartbeat.missed = 0;
+    }
+    this.emit('restart', { reason, error, restarts: this.restarts });
+  }
+
+  /**
+   * Stop supervising a worker that cannot be restarted, falling back to native timers if allowed
+   * @private
+   * @param {'create'|'crash'|'unresponsive'} reason - Why the worker is unavailable
+   * @param {any} error - The error that caused it
+   */
+  abandonWorker(reason, error) {
+    if (this.options.fallback) {
+      this.degrade(reason, error);
+      return;
+    }
+    this.stopHeartbeat();
+    if (reason !== 'crash') {
+      this.handleError(error, { source: 'worker' });
+    }
+  }
+
+  /**
+   * Detach, terminate and release the current worker
+   * @private
+   */
+  disposeWorker() {
+    // Queued commands were meant for this worker; rehydrate() re-sends whatever is still live
+    this.outbox = null;
+    if (this.worker) {
+      this.worker.onmessage = null;
+      this.worker.onerror = null;
+      try {
+        this.worker.terminate();
+      } catch (terminateError) {
+        // The worker is already unusable
+      }
+      this.worker = null;
+    }
+    this.workerType = null;
+    if (this.workerUrl) {
+      URL.revokeObjectURL(this.workerUrl);
+      this.workerUrl = null;
+    }
+  }
+
+  /**
+   * Move every scheduled timer onto native main-thread timers, keeping IDs and remaining delays
+   * @private
+   * @param {'create'|'crash'|'unresponsive'} reason - Why the worker is unavailable
+   * @param {any} error - The error that caused it
+   */
+  degrade(reason, error) {
+    if (this.status === 'degraded') {
+      return;
+    }
+
+    this.stopHeartbeat();
+    this.disposeWorker();
+    // Everything runs on native timers now, so there is nothing left to switch between
+    this.disposeNativeWorker();
+    this.worker = this.createNativeBackend();
+    this.attachWorker();
+    this.status = 'degraded';
+    this.rehydrate();
+    this.emit('degraded', { reason, error });
+  }
+
+  /**
+   * Register every worker-backed entry in `callbacks` with the current worker, preserving remaining time
+   * @private
+   */
+  rehydrate() {
+    for (const [id, entry] of this.callbacks) {
+      if (!entry.native) {
+        this.registerTimer(id, entry, this.remainingTime(entry));
+      }
+    }
+  }
+
+  /**
+   * Current time on the clock the worker measures timers against, so it can be swapped
+   * together with the worker by the testing entry
+   * @private
+   * @returns {number} Epoch milliseconds
+   */
+  now() {
+    return now();
+  }
+
+  /**
+   * Current wall-clock time, used by cron schedules and `scheduleAt`
+   * @private
+   * @returns {number} Epoch milliseconds
+   */
+  dateNow() {
+    return Date.now();
+  }
+
+  /**
+   * Milliseconds until an entry fires next, or the time it had left when it was paused
+   * @private
+   * @param {Object} entry - Entry from `callbacks`
+   * @returns {number} Remaining time
+   */
+  remainingTime(entry) {
+    return entry.paused ? entry.remaining : Math.max(0, Math.round(entry.nextFireAt - this.now()));
+  }
+
+  /**
+   * Register an existing entry with its backend, including its paused state
+   * @private
+   * @param {number} id - Timer ID
+   * @param {Object} entry - Entry from `callbacks`
+   * @param {number} delay - Milliseconds until it fires next
+   */
+  registerTimer(id, entry, delay) {
+    if (entry.at !== null) {
+      this.send(entry, { command: 'setAlarm', id, at: entry.at });
+    } else {
+      const message = entry.type === 'timeout' ? { command: 'setTimeout', id, delay } : this.intervalMessage(id, entry, delay);
+      if (entry.task) {
+        message.task = entry.task.source;
+        message.data = entry.task.data;
+      }
+      this.send(entry, message);
+    }
+    if (entry.paused) {
+      entry.expired = false;
+      this.send(entry, { command: 'pause', id });
+    }
+  }
+
+  /**
+   * Describe every timer that is still scheduled, oldest first
+   * @returns {Array<{id: number, type: 'interval'|'timeout', delay: number, createdAt: number, nextFireAt: number, fireCount: number, paused: boolean, label: string|null, stack: string|null}>} Timer snapshots.
+   *   Times are epoch milliseconds; `stack` is only recorded with `captureStacks`.
+   * @example
+   * console.table(timers.getActiveTimers());
+   */
+  getActiveTimers() {
+    return [...this.callbacks].map(([id, entry]) => ({
+      id,
+      type: entry.type,
+      delay: entry.delay,
+      createdAt: entry.createdAt,
+      nextFireAt: entry.nextFireAt,
+      fireCount: entry.fireCount,
+      paused: entry.paused,
+      label: entry.label,
+      stack: entry.stack,
+    }));
+  }
+
+  /**
+   * Subscribe to a TabSafeTimers event. Subscriptions outlive `destroy()`, so `init` and
+   * `destroy` handlers also see the instance being initialized again.
+   * @param {'init'|'destroy'|'tick'|'error'|'workererror'|'degraded'|'restart'|'sleep'|'clockjump'} event - Event name
+   * @param {Function} handler - Receives the event payload
+   * @returns {Function} Unsubscribe function
+   * @throws {TypeError} When the event is unknown or the handler is not a function
+   */
+  on(event, handler) {
+    if (!TIMER_EVENTS.includes(event)) {
+      throw new TypeError(`[TabSafeTimers] Unknown event "${event}": expected one of ${TIMER_EVENTS.join(', ')}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError('[TabSafeTimers] Event handler must be a function');
+    }
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Unsubscribe from a TabSafeTimers event
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler passed to `on`
+   */
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  /**
+   * Whether any handler is subscribed to an event
+   * @private
+   * @param {string} event - Event name
+   * @returns {boolean} `true` if `emit` would call a handler
+   */
+  hasListeners(event) {
+    const handlers = this.listeners.get(event);
+    return handlers !== undefined && handlers.size > 0;
+  }
+
+  /**
+   * Call every handler subscribed to an event
+   * @private
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   * @returns {boolean} Whether any handler was subscribed
+   */
+  emit(event, payload) {
+    if (!this.hasListeners(event)) {
+      return false;
+    }
+    for (const handler of [...this.listeners.get(event)]) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`[TabSafeTimers] Error in ${event} handler:`, error);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Create the worker-like backend that runs the timer worker on native main-thread timers
+   * @private
+   * @returns {{postMessage: Function, terminate: Function, onmessage: Function|null, onerror: Function|null}} Worker-like object
+   */
+  createNativeBackend() {
+    return createFallbackWorker(this.native);
+  }
+
+  /**
+   * Create the Web Worker from the configured URL or the embedded code. With `sharedWorker`
+   * it connects to the SharedWorker when the browser supports it, else creates a dedicated one.
+   * @private
+   * @returns {{worker: Worker, url: string|null, type: 'dedicated'|'shared'}} The worker, the Blob URL to revoke if one was created, and its kind
+   * @throws {Error} When the worker cannot be created
+   */
+  createWorker() {
+    if (this.options.sharedWorker && typeof SharedWorker !== 'undefined') {
+      // Tabs only share a worker with the same URL, which a per-tab Blob URL never is
+      const url = this.options.workerUrl || `data:application/javascript;base64,${btoa(WORKER_CODE)}`;
+      try {
+        const sharedWorker = new SharedWorker(url, { name: 'tab-safe-timers' });
+        return { worker: createSharedWorkerPort(sharedWorker), url: null, type: 'shared' };
+      } catch (error) {
+        // Fall back to a dedicated worker below
+      }
+    }
+
+    if (typeof Worker === 'undefined') {
+      throw new Error('[TabSafeTimers] Web Workers not supported');
+    }
+
+    if (this.options.workerUrl) {
+      try {
+        return { worker: new Worker(this.options.workerUrl), url: null, type: 'dedicated' };
+      } catch (error) {
+        throw new Error('[TabSafeTimers] Failed to create worker from ' + this.options.workerUrl + ': ' + error.message);
+      }
+    }
+
+    // Create Web Worker from embedded code
+    let url = null;
+    try {
+      const blob = new Blob([WORKER_CODE], { type: 'application/javascript' });
+      url = URL.createObjectURL(blob);
+      return { worker: new Worker(url), url, type: 'dedicated' };
+    } catch (error) {
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+      // Try fallback for stricter CSP environments
+      try {
+        const dataUrl = `data:application/javascript;base64,${btoa(WORKER_CODE)}`;
+        return { worker: new Worker(dataUrl), url: null, type: 'dedicated' };
+      } catch (fallbackError) {
+        throw new Error('[TabSafeTimers] Failed to create worker: ' + fallbackError.message);
+      }
+    }
+  }
+
+  /**
+   * Run the callback for a tick message from the worker
+   * @private
+   * @param {{id: number, scheduledTime?: number, firedTime?: number}} message - Tick message
+   * @param {boolean} native - Whether the tick came from the native backend rather than the worker
+   */
+  dispatchTick({ id, scheduledTime, firedTime, skipped = 0 }, native) {
+    const callbackData = this.callbacks.get(id);
+    // Ignore ticks still in flight from a backend the timer has moved away from
+    if (!callbackData || callbackData.native !== native) {
+      return;
+    }
+    if (callbackData.paused) {
+      // The tick left the worker before the pause reached it. A timeout or alarm is gone
+      // from the worker by now, so `resume` has to register it again.
+      if (callbackData.type === 'timeout' || callbackData.cron) {
+        callbackData.expired = true;
+        callbackData.remaining = 0;
+      }
+      return;
+    }
+
+    const hasTiming = typeof scheduledTime === 'number' && typeof firedTime === 'number';
+    if (callbackData.restarted) {
+      callbackData.restarted = false;
+      if (hasTiming && scheduledTime < callbackData.nextFireAt) {
+        // The tick left the worker before the reschedule or refresh reached it, so the worker
+        // ignored the command: register the timeout again for the rest of its new delay
+        this.registerTimer(id, callbackData, this.remainingTime(callbackData));
+        return;
+      }
+    }
+    const tick = {
+      id,
+      scheduledTime: hasTiming ? scheduledTime : null,
+      firedTime: hasTiming ? firedTime : null,
+      lateness: hasTiming ? Math.max(0, firedTime - scheduledTime) : 0,
+      skipped,
+    };
+    this.currentTick = tick;
+    callbackData.fireCount++;
+    const outerNestingLevel = this.nestingLevel;
+    this.nestingLevel = callbackData.nestingLevel;
+    const startedAt = this.now();
+    let failed = false;
+    try {
+      callbackData.callback.apply(callbackData.thisArg, callbackData.args);
+    } catch (error) {
+      failed = true;
+      this.handleError(error, { source: 'callback', id, type: callbackData.type });
+    } finally {
+      this.currentTick = null;
+      this.nestingLevel = outerNestingLevel;
+    }
+    if (this.hasListeners('tick')) {
+      this.emit('tick', {
+        ...tick,
+        type: callbackData.type,
+        label: callbackData.label,
+        duration: this.now() - startedAt,
+        failed,
+      });
+    }
+
+    // Remove one-time timeouts
+    if (callbackData.type === 'timeout') {
+      this.forgetTimer(id);
+      return;
+    }
+
+    if (callbackData.cron) {
+      // The worker forgets an alarm once it fires, so book the next match. Matches missed
+      // while the system slept are skipped rather than run in a burst.
+      if (this.callbacks.get(id) === callbackData) {
+        callbackData.at = nextCronTime(callbackData.cron, Math.max(this.dateNow(), callbackData.at));
+        callbackData.nextFireAt = callbackData.at;
+        this.registerTimer(id, callbackData, 0);
+      }
+      return;
+    }
+
+    callbackData.nextFireAt = (hasTiming ? scheduledTime : this.now()) + this.currentDelay(callbackData);
+    if (callbackData.nestingLevel > 0) {
+      // A global interval runs the timer initialization steps again from its own task, so it
+      // nests one level deeper each time and is clamped once it nests too deeply
+      if (
+        callbackData.nestingLevel > MAX_TIMER_NESTING &&
+        callbackData.delay < NESTED_TIMER_MIN_DELAY &&
+        this.callbacks.get(id) === callbackData
+      ) {
+        callbackData.delay = NESTED_TIMER_MIN_DELAY;
+        this.restartTimer(id, callbackData, { command: 'reschedule', id, delay: this.currentDelay(callbackData) });
+      }
+      callbackData.nestingLevel++;
+    }
+    if (callbackData.catchUp !== 'burst' && !callbackData.manualAck && this.callbacks.get(id) === callbackData) {
+      // Let the worker deliver the next tick
+      this.send(callbackData, { command: 'ack', id });
+    }
+  }
+
+  /**
+   * Deliver the outcome of a task that ran in the worker
+   * @private
+   * @param {{type: 'result'|'taskerror', id: number, value?: any, error?: {name: string, message: string, stack: string}, stopped?: boolean, scheduledTime?: number}} message - Result message
+   */
+  dispatchTaskResult({ type, id, value, error, stopped, scheduledTime }) {
+    const entry = this.callbacks.get(id);
+    if (!entry || !entry.task) {
+      return;
+    }
+    // A timeout runs once, and an interval whose task did not compile never runs
+    if (entry.type === 'timeout' || stopped) {
+      this.forgetTimer(id);
+    } else if (!entry.paused) {
+      // Task runs never reach dispatchTick, so move the deadline that pause and rehydrate rely on
+      // here. Runs can finish out of order, so it only ever moves forward.
+      const ranAt = typeof scheduledTime === 'number' ? scheduledTime : this.now();
+      entry.nextFireAt = Math.max(entry.nextFireAt, ranAt + entry.delay);
+    }
+    entry.fireCount++;
+
+    const { onResult, onError } = entry.task;
+    let taskError = null;
+    if (type === 'taskerror') {
+      const hint =
+        error.name === 'ReferenceError'
+          ? '. Tasks run in the worker cannot use variables from where they were defined; pass them in the "data" option'
+          : '';
+      taskError = new Error(`[TabSafeTimers] Worker task failed: ${error.message}${hint}`, { cause: error });
+      taskError.name = error.name || 'Error';
+    }
+    try {
+      if (!taskError) {
+        if (onResult) {
+          onResult(value);
+        }
+      } else if (onError) {
+        onError(taskError);
+      } else {
+        this.handleError(taskError, { source: 'task', id, type: entry.type });
+      }
+    } catch (callbackError) {
+      this.handleError(callbackError, { source: 'callback', id, type: entry.type });
+    }
+  }
+
+  /**
+   * Report an error to `error` subscribers and the configured handler, or else the console
+   * @private
+   * @param {any} error - The error that occurred
+   * @param {{source: 'callback'|'task'|'worker', id?: number, type?: string}} context - Where the error came from
+   */
+  handleError(error, context) {
+    const reported = this.emit('error', { error, ...context });
+    if (this.options.onError) {
+      try {
+        this.options.onError(error, context);
+        return;
+      } catch (handlerError) {
+        console.error('[TabSafeTimers] Error in onError handler:', handlerError);
+      }
+    }
+    // Like `onError`, an `error` subscriber takes over from the console
+    if (reported) {
+      return;
+    }
+
+    if (context.source === 'callback') {
+      console.error('[TabSafeTimers] Error in timer callback:', error);
+    } else if (context.source === 'task') {
+      console.error('[TabSafeTimers] Error in worker task:', error);
+    } else {
+      console.error('[TabSafeTimers] Worker error:', error);
+    }
+  }
+
+  /**
+   * Schedule a repeating callback on the worker without touching globals
+   * @param {Function} callback - Function to execute
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {...any} args - Arguments to pass to callback
+   * @returns {number} Timer ID
+   * @throws {Error} When the instance is not initialized
+   * @throws {TypeError} When callback is not a function
+   */
+  setInterval(callback, delay = 0, ...args) {
+    return this.addTimer('interval', callback, delay, { args });
+  }
+
+  /**
+   * Schedule a repeating callback with per-interval options
+   * @param {Function} callback - Function to execute
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {Object} [options] - Interval options
+   * @param {any[]} [options.args=[]] - Arguments to pass to callback
+   * @param {'burst'|'coalesce'|'skip'} [options.catchUp] - Policy for ticks missed while the main thread was busy
+   * @param {boolean} [options.driftCorrection] - Schedule ticks against the start time
+   * @param {AbortSignal} [options.signal] - Clears the interval when aborted
+   * @param {string} [options.label] - Name shown by `getActiveTimers()`
+   * @returns {number} Timer ID, cleared with `clearInterval`
+   * @throws {Error} When the instance is not initialized
+   * @throws {TypeError} When callback or an option is invalid
+   */
+  scheduleInterval(callback, delay = 0, options = {}) {
+    return this.addTimer('interval', callback, delay, options);
+  }
+
+  /**
+   * Schedule a one-time callback on the worker without touching globals
+   * @param {Function} callback - Function to execute
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {...any} args - Arguments to pass to callback
+   * @returns {number} Timer ID
+   * @throws {Error} When the instance is not initialized
+   * @throws {TypeError} When callback is not a function
+   */
+  setTimeout(callback, delay = 0, ...args) {
+    return this.addTimer('timeout', callback, delay, { args });
+  }
+
+  /**
+   * Schedule a one-time callback with per-timeout options
+   * @param {Function} callback - Function to execute
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {Object} [options] - Timeout options
+   * @param {any[]} [options.args=[]] - Arguments to pass to callback
+   * @param {AbortSignal} [options.signal] - Clears the timeout when aborted
+   * @param {string} [options.label] - Name shown by `getActiveTimers()`
+   * @returns {number} Timer ID, cleared with `clearTimeout`
+   * @throws {Error} When the instance is not initialized
+   * @throws {TypeError} When callback or an option is invalid
+   */
+  scheduleTimeout(callback, delay = 0, options = {}) {
+    return this.addTimer('timeout', callback, delay, options);
+  }
+
+  /**
+   * Run a callback once at a wall-clock time. The worker compares the deadline with
+   * `Date.now()`, so it still fires on time after the system sleeps or the clock changes.
+   * @param {Date|number|string} date - When to run, as a Date, epoch milliseconds or a date string
+   * @param {Function} callback - Function to execute
+   * @param {Object} [options] - Timer options
+   * @param {any[]} [options.args=[]] - Arguments to pass to callback
+   * @param {AbortSignal} [options.signal] - Clears the timer when aborted
+   * @param {string} [options.label] - Name shown by `getActiveTimers()`
+   * @returns {number} Timer ID, cleared with `clearTimeout`
+   * @throws {Error} When the instance is not initialized
+   * @throws {TypeError} When callback or an option is invalid
+   * @throws {RangeError} When the date is invalid
+   * @example
+   * timers.scheduleAt('2026-11-01T00:00Z', rotateKeys);
+   */
+  scheduleAt(date, callback, options = {}) {
+    const at = date instanceof Date || typeof date === 'number' || typeof date === 'string' ? new Date(date).getTime() : NaN;
+    if (Number.isNaN(at)) {
+      throw new RangeError('[TabSafeTimers] Invalid date: expected a Date, epoch milliseconds or a date string');
+    }
+    return this.addTimer('timeout', callback, at - this.dateNow(), {
+      ...options,
+      at,
+      useWorker: 'always',
+      backgroundDelay: null,
+    });
+  }
+
+  /**
+   * Run a callback every time a cron expression matches the wall clock. Fields are
+   * `minute hour day-of-month month day-of-week`; macros such as `@daily` are accepted.
+   * Matches missed while the system was asleep run once on wake.
+   * @param {string} expression - Cron expression
+   * @param {Function} callback - Function to execute
+   * @param {Object} [options] - Timer options
+   * @param {boolean} [options.utc=false] - Match against UTC instead of local time
+   * @param {any[]} [options.args=[]] - Arguments to pass to callback
+   * @param {AbortSignal} [options.signal] - Clears the schedule when aborted
+   * @param {string} [options.label] - Name shown by `getActiveTimers()`
+   * @returns {number} Timer ID, cleared with `clearInterval`
+   * @throws {Error} When the instance is not initialized
+   * @throws {TypeError} When callback or an option is invalid
+   * @throws {SyntaxError} When the expression is malformed
+   * @throws {RangeError} When the expression never matches
+   * @example
+   * timers.schedule('0 9 * * mon-fri', sendReport);
+   */
+  schedule(expression, callback, options = {}) {
+    const { utc = false, ...timerOptions } = options;
+    if (typeof utc !== 'boolean') {
+      throw new TypeError('[TabSafeTimers] Invalid timer option "utc": expected a boolean');
+    }
+    const cron = parseCron(expression, utc);
+    const at = nextCronTime(cron, this.dateNow());
+    if (at === null) {
+      throw new RangeError(`[TabSafeTimers] Cron expression "${expression}" never matches`);
+    }
+    return this.addTimer('interval', callback, at - this.dateNow(), {
+      ...timerOptions,
+      at,
+      cron,
+      catchUp: 'burst',
+      driftCorrection: false,
+      useWorker: 'always',
+      backgroundDelay: null,
+    });
+  }
+
+  /**
+   * Run a function inside the worker, so it keeps its schedule however busy the main thread is.
+   * The function is shipped as source and cannot use variables from where it was defined;
+   * it receives `options.data` instead, and may return a value or a Promise.
+   * @param {Function} fn - Function expression or arrow function to run in the worker
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {Object} [options] - Task options
+   * @param {boolean} [options.interval=false] - Run every `delay` milliseconds instead of once
+   * @param {any} [options.data] - Structured-cloneable value passed to the function
+   * @param {Function} [options.onResult] - Receives each value the function returns
+   * @param {Function} [options.onError] - Receives errors thrown in the worker instead of `onError`/the console
+   * @param {AbortSignal} [options.signal] - Clears the task when aborted
+   * @param {string} [options.label] - Name shown by `getActiveTimers()`
+   * @returns {number} Timer ID, cleared with `clearTimeout` or `clearInterval`
+   * @throws {Error} When the instance is not initialized
+   * @throws {TypeError} When the function cannot be serialized or an option is invalid
+   * @example
+   * timers.runInWorker(
+   *   (url) => fetch(url, { method: 'POST', keepalive: true }).then((response) => response.status),
+   *   30000,
+   *   { interval: true, data: '/api/keepalive', onResult: (status) => console.log(status) },
+   * );
+   */
+  runInWorker(fn, delay = 0, options = {}) {
+    const source = serializeTask(fn);
+    const { interval = false, data, onResult = null, onError = null, ...timerOptions } = options;
+    if (typeof interval !== 'boolean') {
+      throw new TypeError('[TabSafeTimers] Invalid task option "interval": expected a boolean');
+    }
+    if (onResult !== null && typeof onResult !== 'function') {
+      throw new TypeError('[TabSafeTimers] Invalid task option "onResult": expected a function');
+    }
+    if (onError !== null && typeof onError !== 'function') {
+      throw new TypeError('[TabSafeTimers] Invalid task option "onError": expected a function');
+    }
+    if (typeof structuredClone === 'function') {
+      try {
+        structuredClone(data);
+      } catch (error) {
+        throw new TypeError(`[TabSafeTimers] Invalid task option "data": it cannot be sent to the worker (${error.message})`);
+      }
+    }
+    return this.addTimer(interval ? 'interval' : 'timeout', fn, delay, {
+      ...timerOptions,
+      task: { source, data, onResult, onError },
+      catchUp: 'burst',
+      driftCorrection: false,
+      useWorker: 'always',
+      backgroundDelay: null,
+    });
+  }
+
+  /**
+   * Wait for a delay on the worker
+   * @param {number} [ms=0] - Delay in milliseconds
+   * @param {Object} [options] - Sleep options
+   * @param {AbortSignal} [options.signal] - Cancels the sleep and rejects with an `AbortError`
+   * @returns {Promise<void>} Resolves once the delay has passed
+   * @example
+   * await timers.sleep(1000, { signal: controller.signal });
+   */
+  sleep(ms = 0, options = {}) {
+    return new Promise((resolve, reject) => {
+      const { signal } = options;
+      if (signal !== undefined) {
+        validateSignal(signal);
+      }
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const onAbort = () => {
+        this.removeTimer('clearTimeout', id);
+        reject(createAbortError());
+      };
+      const id = this.addTimer(
+        'timeout',
+        () => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve();
+        },
+        ms,
+        { label: 'sleep' }
+      );
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Yield to the event loop via a zero-delay worker round trip, like Node's `setImmediate`
+   * @param {any} [value] - Value to resolve with
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Cancels the wait and rejects with an `AbortError`
+   * @returns {Promise<any>} Resolves with `value`
+   */
+  immediate(value, options = {}) {
+    return this.sleep(0, options).then(() => value);
+  }
+
+  /**
+   * Iterate over worker interval ticks, like Node's `timers/promises` `setInterval`.
+   * The interval starts on the first `next()` call and a new tick is not delivered
+   * until the consumer asks for it; ticks that fall due meanwhile are coalesced into one.
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {Object} [options] - Iterator options
+   * @param {any} [options.value] - Value yielded for every tick
+   * @param {AbortSignal} [options.signal] - Stops the interval and makes the iterator throw an `AbortError`
+   * @returns {AsyncIterableIterator<any>} Iterator over ticks
+   * @example
+   * for await (const _ of timers.interval(1000, { signal })) {
+   *   await poll();
+   * }
+   */
+  interval(delay = 0, options = {}) {
+    const { value, signal } = options;
+    if (signal !== undefined) {
+      validateSignal(signal);
+    }
+
+    let id = null;
+    let done = false;
+    let pending = false;
+    // Like Node's iterator, calls to `next()` made before a tick arrives are answered in order
+    const waiters = [];
+
+    const finish = () => {
+      done = true;
+      if (id !== null) {
+        this.removeTimer('clearInterval', id);
+      }
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+    const onAbort = () => {
+      finish();
+      for (const waiter of waiters.splice(0)) {
+        waiter.reject(createAbortError());
+      }
+    };
+    const onTick = () => {
+      if (waiters.length === 0) {
+        pending = true;
+        return;
+      }
+      waiters.shift().resolve({ value, done: false });
+      if (waiters.length > 0 && this.callbacks.has(id)) {
+        // Another consumer is already waiting, so ask for the next tick right away
+        this.send(this.callbacks.get(id), { command: 'ack', id });
+      }
+    };
+
+    return {
+      next: () => {
+        if (signal && signal.aborted) {
+          if (!done) {
+            finish();
+          }
+          return Promise.reject(createAbortError());
+        }
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        if (id === null) {
+          id = this.addTimer('interval', onTick, delay, {
+            catchUp: 'coalesce',
+            manualAck: true,
+            label: 'interval iterator',
+            useWorker: 'always',
+            backgroundDelay: null,
+          });
+          if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+        } else if (this.callbacks.has(id)) {
+          // The consumer is ready for another tick
+          this.send(this.callbacks.get(id), { command: 'ack', id });
+        }
+        if (pending) {
+          pending = false;
+          return Promise.resolve({ value, done: false });
+        }
+        return new Promise((resolve, reject) => {
+          waiters.push({ resolve, reject });
+        });
+      },
+      return: () => {
+        if (!done) {
+          finish();
+        }
+        for (const waiter of waiters.splice(0)) {
+          waiter.resolve({ value: undefined, done: true });
+        }
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  /**
+   * Create a debounced function that calls `fn` once `wait` milliseconds have passed without
+   * another call, like lodash's `debounce`, but timed by the worker so it still fires in
+   * background tabs. A burst of calls keeps one timer and reschedules it instead of clearing
+   * and creating timers.
+   * @param {Function} fn - Function to debounce
+   * @param {number} [wait=0] - Milliseconds to wait after the last call
+   * @param {Object} [options] - Debounce options
+   * @param {boolean} [options.leading=false] - Call `fn` on the first call of a burst
+   * @param {boolean} [options.trailing=true] - Call `fn` when the burst ends, if it was called again after the leading call
+   * @param {number} [options.maxWait] - Longest time `fn` may be put off while calls keep coming, at least `wait`
+   * @returns {Function & {cancel: () => void, flush: () => any, pending: () => boolean}} Debounced function.
+   *   It returns the result of the latest `fn` call; `cancel` drops a pending call, `flush` runs it now
+   *   and `pending` tells whether one is waiting.
+   * @throws {TypeError} When fn or an option is invalid
+   * @throws {RangeError} When maxWait is negative or not finite
+   * @example
+   * const save = timers.debounce(() => saveDraft(editor.value), 1000, { maxWait: 10000 });
+   * editor.addEventListener('input', save);
+   * window.addEventListener('pagehide', save.flush);
+   */
+  debounce(fn, wait = 0, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('Callback must be a function');
+    }
+    const { leading = false, trailing = true, maxWait } = options;
+    if (typeof leading !== 'boolean') {
+      throw new TypeError('[TabSafeTimers] Invalid debounce option "leading": expected a boolean');
+    }
+    if (typeof trailing !== 'boolean') {
+      throw new TypeError('[TabSafeTimers] Invalid debounce option "trailing": expected a boolean');
+    }
+    if (maxWait !== undefined && (typeof maxWait !== 'number' || !Number.isFinite(maxWait) || maxWait < 0)) {
+      throw new RangeError('[TabSafeTimers] Invalid debounce option "maxWait": expected a non-negative finite number');
+    }
+    const delay = this.sanitizeDelay(wait);
+    const maxDelay = maxWait === undefined ? null : Math.max(this.sanitizeDelay(maxWait), delay);
+    return this.createDebounced(fn, delay, leading, trailing, maxDelay, 'debounce');
+  }
+
+  /**
+   * Create a throttled function that calls `fn` at most once every `wait` milliseconds,
+   * like lodash's `throttle`, timed by the worker. Calls in between are folded into one
+   * trailing call with the latest arguments.
+   * @param {Function} fn - Function to throttle
+   * @param {number} [wait=0] - Minimum milliseconds between calls of `fn`
+   * @param {Object} [options] - Throttle options
+   * @param {boolean} [options.leading=true] - Call `fn` right away on the first call
+   * @param {boolean} [options.trailing=true] - Call `fn` at the end of the period if it was called again meanwhile
+   * @returns {Function & {cancel: () => void, flush: () => any, pending: () => boolean}} Throttled function, see `debounce`
+   * @throws {TypeError} When fn or an option is invalid
+   * @example
+   * const report = timers.throttle((event) => telemetry.send(event), 5000);
+   * window.addEventListener('scroll', report);
+   */
+  throttle(fn, wait = 0, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('Callback must be a function');
+    }
+    const { leading = true, trailing = true } = options;
+    if (typeof leading !== 'boolean') {
+      throw new TypeError('[TabSafeTimers] Invalid throttle option "leading": expected a boolean');
+    }
+    if (typeof trailing !== 'boolean') {
+      throw new TypeError('[TabSafeTimers] Invalid throttle option "trailing": expected a boolean');
+    }
+    const delay = this.sanitizeDelay(wait);
+    return this.createDebounced(fn, delay, leading, trailing, delay, 'throttle');
+  }
+
+  /**
+   * Build the function returned by `debounce` and `throttle`
+   * @private
+   * @param {Function} fn - Function to call
+   * @param {number} delay - Milliseconds to wait after the last call
+   * @param {boolean} leading - Call on the first call of a burst
+   * @param {boolean} trailing - Call when the burst ends
+   * @param {number|null} maxDelay - Longest time a call may be put off, `null` for no limit
+   * @param {string} label - Name of the timer shown by `getActiveTimers()`
+   * @returns {Function & {cancel: () => void, flush: () => any, pending: () => boolean}} Debounced function
+   */
+  createDebounced(fn, delay, leading, trailing, maxDelay, label) {
+    const self = this;
+    let id = null;
+    let lastArgs = null;
+    let lastThis;
+    let lastCallTime = null;
+    let lastInvokeTime = 0;
+    let result;
+
+    const invoke = (time) => {
+      const args = lastArgs;
+      const thisArg = lastThis;
+      lastArgs = null;
+      lastThis = undefined;
+      lastInvokeTime = time;
+      result = fn.apply(thisArg, args);
+      return result;
+    };
+    const trailingEdge = (time) => {
+      id = null;
+      if (trailing && lastArgs) {
+        return invoke(time);
+      }
+      lastArgs = null;
+      lastThis = undefined;
+      return result;
+    };
+    // A burst ends once `delay` passes without calls, or when `maxDelay` runs out
+    const shouldInvoke = (time) => {
+      if (lastCallTime === null) {
+        return true;
+      }
+      const sinceLastCall = time - lastCallTime;
+      return sinceLastCall >= delay || sinceLastCall < 0 || (maxDelay !== null && time - lastInvokeTime >= maxDelay);
+    };
+    const remainingWait = (time) => {
+      const waiting = delay - (time - lastCallTime);
+      return maxDelay === null ? waiting : Math.min(waiting, maxDelay - (time - lastInvokeTime));
+    };
+    // A tick already on its way when the burst was extended can still arrive early, so check the time again
+    const timerExpired = () => {
+      const time = self.now();
+      id = null;
+      if (shouldInvoke(time)) {
+        return trailingEdge(time);
+      }
+      arm(remainingWait(time));
+      return undefined;
+    };
+    const arm = (ms) => {
+      // Move the pending timer rather than replace it, so a burst keeps a single timer
+      if (id === null || !self.reschedule(id, ms)) {
+        id = self.addTimer('timeout', timerExpired, ms, { label });
+      }
+    };
+
+    function debounced(...args) {
+      const time = self.now();
+      const isInvoking = shouldInvoke(time);
+      lastArgs = args;
+      lastThis = this;
+      lastCallTime = time;
+
+      if (isInvoking) {
+        if (id === null) {
+          lastInvokeTime = time;
+          arm(delay);
+          return leading ? invoke(time) : result;
+        }
+        if (maxDelay !== null) {
+          // Calls kept coming until `maxDelay` ran out
+          arm(delay);
+          return invoke(time);
+        }
+      }
+      arm(remainingWait(time));
+      return result;
+    }
+
+    debounced.cancel = () => {
+      if (id !== null) {
+        self.removeTimer('clearTimeout', id);
+      }
+      id = null;
+      lastArgs = null;
+      lastThis = undefined;
+      lastCallTime = null;
+      lastInvokeTime = 0;
+    };
+    debounced.flush = () => {
+      if (id === null) {
+        return result;
+      }
+      self.removeTimer('clearTimeout', id);
+      return trailingEdge(self.now());
+    };
+    debounced.pending = () => id !== null && self.callbacks.has(id);
+    return debounced;
+  }
+
+  /**
+   * Cancel a timer created by this instance
+   * @param {number} id - Timer ID to clear
+   * @returns {boolean} Whether a tab-safe timer was cleared
+   */
+  clearInterval(id) {
+    return this.removeTimer('clearInterval', id);
+  }
+
+  /**
+   * Cancel a timer created by this instance
+   * @param {number} id - Timer ID to clear
+   * @returns {boolean} Whether a tab-safe timer was cleared
+   */
+  clearTimeout(id) {
+    return this.removeTimer('clearTimeout', id);
+  }
+
+  /**
+   * Pause a timer, keeping the time it has left
+   * @param {number} id - Timer ID
+   * @returns {boolean} Whether a running timer was paused
+   */
+  pause(id) {
+    const entry = this.isInitialized ? this.callbacks.get(id) : undefined;
+    if (!entry || entry.paused) {
+      return false;
+    }
+    entry.paused = true;
+    entry.remaining = Math.max(0, Math.round(entry.nextFireAt - this.now()));
+    this.send(entry, { command: 'pause', id });
+    return true;
+  }
+
+  /**
+   * Resume a paused timer with the time it had left when it was paused
+   * @param {number} id - Timer ID
+   * @returns {boolean} Whether a paused timer was resumed
+   */
+  resume(id) {
+    const entry = this.isInitialized ? this.callbacks.get(id) : undefined;
+    if (!entry || !entry.paused) {
+      return false;
+    }
+    entry.paused = false;
+    // A wall-clock timer that fell due while paused runs as soon as it resumes
+    entry.nextFireAt = entry.at !== null ? Math.max(this.now(), entry.at) : this.now() + entry.remaining;
+    if (entry.expired) {
+      entry.expired = false;
+      this.registerTimer(id, entry, entry.remaining);
+    } else {
+      this.send(entry, { command: 'resume', id });
+    }
+    entry.remaining = null;
+    return true;
+  }
+
+  /**
+   * Restart a timer with a new delay. For intervals the new delay also becomes the period.
+   * A paused timer stays paused and runs the new delay after it resumes.
+   * @param {number} id - Timer ID
+   * @param {number} delay - New delay in milliseconds
+   * @returns {boolean} Whether a scheduled timer was changed; always `false` for wall-clock timers
+   */
+  reschedule(id, delay) {
+    const entry = this.isInitialized ? this.callbacks.get(id) : undefined;
+    if (!entry || entry.at !== null) {
+      return false;
+    }
+    entry.delay = this.sanitizeDelay(delay);
+    this.restartTimer(id, entry, { command: 'reschedule', id, delay: this.currentDelay(entry) });
+    return true;
+  }
+
+  /**
+   * Restart a timer with its current delay, like Node's `timeout.refresh()`
+   * @param {number} id - Timer ID
+   * @returns {boolean} Whether a scheduled timer was refreshed; always `false` for wall-clock timers
+   */
+  refresh(id) {
+    const entry = this.isInitialized ? this.callbacks.get(id) : undefined;
+    if (!entry || entry.at !== null) {
+      return false;
+    }
+    this.restartTimer(id, entry, { command: 'refresh', id });
+    return true;
+  }
+
+  /**
+   * Start a timer's delay over, on both threads
+   * @private
+   * @param {number} id - Timer ID
+   * @param {Object} entry - Entry from `callbacks`
+   * @param {Object} message - `reschedule` or `refresh` worker command
+   */
+  restartTimer(id, entry, message) {
+    if (entry.paused) {
+      entry.remaining = this.currentDelay(entry);
+      if (entry.expired) {
+        // resume() registers the timeout again with the new remaining time
+        return;
+      }
+    } else {
+      entry.nextFireAt = this.now() + this.currentDelay(entry);
+      // The worker forgets a timeout once it fires, so a tick already on its way would run the
+      // callback early; dispatchTick() checks for it
+      entry.restarted = entry.type === 'timeout';
+    }
+    this.send(entry, message);
+  }
+
+  /**
+   * Register a callback and send the matching command to the worker
+   * @private
+   * @param {'interval'|'timeout'} type - Timer type
+   * @param {Function} callback - Function to execute
+   * @param {number} delay - Requested delay in milliseconds
+   * @param {{args?: any[], catchUp?: string, driftCorrection?: boolean, signal?: AbortSignal, label?: string, manualAck?: boolean, scope?: TimerScope, at?: number, cron?: Object, task?: Object, thisArg?: any, nestingLevel?: number}} options - Timer options.
+   *   `manualAck` leaves acknowledging non-burst ticks to the caller; `scope` tracks the timer in a `TimerScope`;
+   *   `at` makes it wait for a wall-clock time and `cron` books the next match after each run;
+   *   `task` runs the callback's source in the worker instead of calling it here;
+   *   `thisArg` and `nestingLevel` are set by the global overrides, see `addGlobalTimer`.
+   * @returns {number} Timer ID
+   */
+  addTimer(type, callback, delay, options) {
+    if (!this.isInitialized) {
+      throw new Error('[TabSafeTimers] Not initialized');
+    }
+
+    // Validate inputs
+    if (typeof callback !== 'function') {
+      throw new TypeError('Callback must be a function');
+    }
+
+    const {
+      args = [],
+      catchUp = this.options.catchUp,
+      driftCorrection = this.options.driftCorrection,
+      signal,
+      manualAck = false,
+      label = null,
+      scope = null,
+      useWorker = this.options.useWorker,
+      backgroundDelay = this.options.backgroundDelay,
+      at = null,
+      cron = null,
+      task = null,
+      thisArg = undefined,
+      nestingLevel = 0,
+    } = options;
+    if (!Array.isArray(args)) {
+      throw new TypeError('[TabSafeTimers] Invalid timer option "args": expected an array');
+    }
+    if (signal !== undefined) {
+      validateSignal(signal);
+    }
+    if (label !== null && typeof label !== 'string') {
+      throw new TypeError('[TabSafeTimers] Invalid timer option "label": expected a string');
+    }
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      throw new TypeError(`[TabSafeTimers] Invalid timer option "catchUp": expected one of ${CATCH_UP_POLICIES.join(', ')}`);
+    }
+    if (!WORKER_POLICIES.includes(useWorker)) {
+      throw new TypeError(`[TabSafeTimers] Invalid timer option "useWorker": expected one of ${WORKER_POLICIES.join(', ')}`);
+    }
+    if (backgroundDelay !== null && (typeof backgroundDelay !== 'number' || !Number.isFinite(backgroundDelay) || backgroundDelay < 0)) {
+      throw new RangeError('[TabSafeTimers] Invalid timer option "backgroundDelay": expected a non-negative finite number');
+    }
+
+    const sanitizedDelay = this.sanitizeDelay(delay);
+
+    const id = this.nextId();
+    if (signal && signal.aborted) {
+      // Already cancelled: hand out an ID that never fires
+      return id;
+    }
+
+    const createdAt = this.now();
+    const entry = {
+      type,
+      callback,
+      args,
+      delay: sanitizedDelay,
+      createdAt,
+      nextFireAt: 0,
+      fireCount: 0,
+      label,
+      stack: this.options.captureStacks ? captureStack() : null,
+      scope,
+      paused: false,
+      remaining: null,
+      expired: false,
+      useWorker,
+      backgroundDelay: type === 'interval' && backgroundDelay !== null ? this.sanitizeDelay(backgroundDelay) : null,
+      native: false,
+      at,
+      cron,
+      task,
+      thisArg,
+      nestingLevel,
+    };
+    if (scope) {
+      scope.ids.add(id);
+    }
+    if (entry.useWorker !== 'always' || entry.backgroundDelay !== null) {
+      this.visibilityTimers.add(id);
+      this.watchVisibility();
+      if (this.prefersNative(entry)) {
+        entry.native = true;
+        this.getNativeWorker();
+      }
+    }
+    const firstDelay = this.currentDelay(entry);
+    entry.nextFireAt = at !== null ? at : createdAt + firstDelay;
+    if (signal) {
+      entry.signal = signal;
+      entry.onAbort = () => this.removeTimer(type === 'interval' ? 'clearInterval' : 'clearTimeout', id);
+      signal.addEventListener('abort', entry.onAbort, { once: true });
+    }
+    this.callbacks.set(id, entry);
+    if (type === 'interval') {
+      entry.catchUp = catchUp;
+      entry.driftCorrection = driftCorrection;
+      entry.manualAck = manualAck;
+    }
+    this.registerTimer(id, entry, firstDelay);
+    return id;
+  }
+
+  /**
+   * Apply `minDelay` to a requested delay and coerce it to whole milliseconds
+   * @private
+   * @param {any} delay - Requested delay
+   * @returns {number} Delay in milliseconds
+   */
+  sanitizeDelay(delay) {
+    return Math.max(this.options.minDelay, parseInt(delay) || 0);
+  }
+
+  /**
+   * Hand out the next free timer ID, wrapping back to `TIMER_ID_BASE` after `MAX_TIMER_ID`
+   * @private
+   * @returns {number} Timer ID
+   */
+  nextId() {
+    do {
+      this.idCounter = this.idCounter >= MAX_TIMER_ID ? TIMER_ID_BASE : this.idCounter + 1;
+    } while (this.callbacks.has(this.idCounter) || this.loops.has(this.idCounter));
+    return this.idCounter;
+  }
+
+  /**
+   * Schedule a timer for the overridden globals, following the HTML timer initialization steps:
+   * string handlers, WebIDL delay conversion, `this` bound to the global object and nested-timeout clamping
+   * @private
+   * @param {'interval'|'timeout'} type - Timer type
+   * @param {Function|string} handler - Function to execute, or code when `stringHandlers` is on
+   * @param {any} timeout - Requested delay, converted like a WebIDL `long`
+   * @param {any[]} args - Arguments to pass to a function handler
+   * @returns {number} Timer ID
+   * @throws {TypeError} When the handler is not a function and string handlers are off, or the delay cannot be converted
+   */
+  addGlobalTimer(type, handler, timeout, args) {
+    let callback = handler;
+    if (typeof handler !== 'function') {
+      if (!this.options.stringHandlers) {
+        throw new TypeError('[TabSafeTimers] Callback must be a function; enable the "stringHandlers" option to pass code as a string');
+      }
+      const code = String(handler);
+      // Indirect eval runs the code in global scope, like the classic script a browser would compile
+      callback = () => (0, eval)(code);
+      args = [];
+    }
+    let delay = Math.max(0, toLong(timeout));
+    if (this.nestingLevel > MAX_TIMER_NESTING && delay < NESTED_TIMER_MIN_DELAY) {
+      delay = NESTED_TIMER_MIN_DELAY;
+    }
+    return this.addTimer(type, callback, delay, { args, thisArg: globalThis, nestingLevel: this.nestingLevel + 1 });
+  }
+
+  /**
+   * Build the worker command that starts an interval
+   * @private
+   * @param {number} id - Timer ID
+   * @param {{delay: number, catchUp: string, driftCorrection: boolean}} entry - Interval entry from `callbacks`
+   * @param {number} firstDelay - Milliseconds until the first tick
+   * @returns {Object} Worker command
+   */
+  intervalMessage(id, entry, firstDelay) {
+    const delay = this.currentDelay(entry);
+    const message = { command: 'setInterval', id, delay };
+    if (firstDelay !== delay) {
+      message.firstDelay = firstDelay;
+    }
+    if (entry.driftCorrection) {
+      message.driftCorrection = true;
+    }
+    if (entry.catchUp !== 'burst') {
+      message.catchUp = entry.catchUp;
+    }
+    return message;
+  }
+
+  /**
+   * Remove a callback and tell the worker to stop its timer
+   * @private
+   * @param {'clearInterval'|'clearTimeout'} command - Worker command to send
+   * @param {number} id - Timer ID to clear
+   * @returns {boolean} Whether a tab-safe timer was cleared
+   */
+  removeTimer(command, id) {
+    const entry = this.isInitialized ? this.callbacks.get(id) : undefined;
+    if (!entry) {
+      return false;
+    }
+
+    this.forgetTimer(id);
+    this.send(entry, { command, id });
+    return true;
+  }
+
+  /**
+   * Drop a timer's bookkeeping on the main thread, detaching its abort listener
+   * @private
+   * @param {number} id - Timer ID
+   */
+  forgetTimer(id) {
+    const entry = this.callbacks.get(id);
+    if (entry && entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
     }
-
-    case 'setTimeout': {
-      const timeoutId = self.setTimeout(() => {
-        self.postMessage({ type: 'tick', id: id });
-        timeoutMap.delete(id);
-      }, delay);
-      timeoutMap.set(id, timeoutId);
-      break;
+    if (entry && entry.scope) {
+      entry.scope.ids.delete(id);
     }
-
-    case 'clearInterval': {
-      const intervalId = intervalMap.get(id);
-      if (intervalId) {
-        self.clearInterval(intervalId);
-        intervalMap.delete(id);
-      }
-      break;
+    this.callbacks.delete(id);
+    if (this.visibilityTimers.delete(id)) {
+      this.unwatchVisibility();
     }
+  }
 
-    case 'clearTimeout': {
-      const timeoutId = timeoutMap.get(id);
-      if (timeoutId) {
-        self.clearTimeout(timeoutId);
-        timeoutMap.delete(id);
-      }
-      break;
+  /**
+   * Create a group of timers that can be cancelled together, e.g. when a component unmounts
+   * @returns {TimerScope} A new scope backed by this instance
+   * @example
+   * const scope = timers.createScope();
+   * scope.setInterval(refresh, 1000);
+   * // on unmount
+   * scope.clearAll();
+   */
+  createScope() {
+    return new TimerScope(this);
+  }
+
+  /**
+   * Clear every timer in a scope with a single worker message
+   * @private
+   * @param {TimerScope} scope - Scope to clear
+   * @returns {number} Number of timers cleared
+   */
+  clearScope(scope) {
+    const ids = [...scope.ids];
+    if (!this.isInitialized || ids.length === 0) {
+      return 0;
+    }
+    const nativeIds = ids.filter((id) => this.callbacks.get(id).native);
+    const workerIds = ids.filter((id) => !this.callbacks.get(id).native);
+    for (const id of ids) {
+      this.forgetTimer(id);
+    }
+    if (workerIds.length > 0) {
+      this.post({ command: 'clearMany', ids: workerIds });
+    }
+    if (nativeIds.length > 0) {
+      this.nativeWorker.postMessage({ command: 'clearMany', ids: nativeIds });
     }
+    return ids.length;
   }
-};
-`;
 
-/**
- * @class TabSafeTimers
- * @description Manages Web Worker-based timers that bypass background tab throttling
- */
-class TabSafeTimers {
-  constructor() {
-    /** @type {boolean} */
-    this.isInitialized = false;
-    /** @type {Worker|null} */
-    this.worker = null;
-    /** @type {string|null} */
-    this.workerUrl = null;
-    /** @type {Map<number, {type: string, callback: Function, args: any[], delay: number}>} */
-    this.callbacks = new Map();
-    /** @type {number} */
-    this.idCounter = 0;
-    /** @type {{setInterval: Function, setTimeout: Function, clearInterval: Function, clearTimeout: Function}|null} */
-    this.native = null;
+  /**
+   * Start a frame loop that uses requestAnimationFrame while the page is visible
+   * and worker ticks while it is hidden, switching on `visibilitychange`
+   * @param {Function} callback - Receives `(deltaTime, frame)`: milliseconds since the previous frame and the frame number
+   * @param {Object} [options] - Loop options
+   * @param {number} [options.fps] - Target frame rate. Visible frames follow the display rate when omitted, hidden ones run at 60fps
+   * @returns {number} Loop ID for `stopLoop`
+   * @throws {Error} When the instance is not initialized
+   * @throws {TypeError} When callback is not a function
+   * @throws {RangeError} When fps is not a positive number
+   */
+  startLoop(callback, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('[TabSafeTimers] Not initialized');
+    }
+    if (typeof callback !== 'function') {
+      throw new TypeError('Callback must be a function');
+    }
+    const { fps } = options;
+    if (fps !== undefined && (typeof fps !== 'number' || !Number.isFinite(fps) || fps <= 0)) {
+      throw new RangeError('[TabSafeTimers] Invalid loop option "fps": expected a positive number');
+    }
+
+    const id = this.nextId();
+    this.loops.set(id, {
+      callback,
+      frameDuration: 1000 / (fps || DEFAULT_LOOP_FPS),
+      throttle: fps !== undefined,
+      frame: 0,
+      lastTime: this.now(),
+      rafId: null,
+      timerId: null,
+    });
+
+    this.watchVisibility();
+    this.driveLoop(id);
+    return id;
   }
 
   /**
-   * Initialize the tab-safe timers system
-   * @returns {boolean} Success status
-   * @throws {Error} When not in browser environment or Workers not supported
+   * Stop a loop started with `startLoop`
+   * @param {number} id - Loop ID
+   * @returns {boolean} Whether a loop was stopped
    */
-  init() {
-    if (this.isInitialized) {
+  stopLoop(id) {
+    const loop = this.loops.get(id);
+    if (!loop) {
       return false;
     }
+    this.pauseLoop(loop);
+    this.loops.delete(id);
+    this.unwatchVisibility();
+    return true;
+  }
+
+  /**
+   * Drive a loop with requestAnimationFrame or worker ticks, whichever suits the page visibility
+   * @private
+   * @param {number} id - Loop ID
+   */
+  driveLoop(id) {
+    const loop = this.loops.get(id);
+    const useAnimationFrames =
+      typeof requestAnimationFrame === 'function' &&
+      typeof document !== 'undefined' &&
+      document.visibilityState !== 'hidden';
 
-    // Check if we're in a browser environment
-    if (typeof window === 'undefined' || typeof Worker === 'undefined') {
-      throw new Error('[TabSafeTimers] Not running in a browser environment or Web Workers not supported');
+    if (useAnimationFrames && loop.rafId === null) {
+      this.pauseLoop(loop);
+      let nextFrameTime = loop.lastTime + loop.frameDuration;
+      const onFrame = () => {
+        const time = this.now();
+        // Run on the display frame closest to each target time so the average rate matches fps
+        if (!loop.throttle || time >= nextFrameTime - DISPLAY_FRAME_DURATION / 2) {
+          nextFrameTime += loop.frameDuration;
+          if (nextFrameTime < time) {
+            // Fell behind, e.g. after a long task: restart the schedule instead of running back-to-back
+            nextFrameTime = time + loop.frameDuration;
+          }
+          this.runLoopFrame(id, loop, time);
+        }
+        if (this.loops.get(id) === loop && loop.rafId !== null) {
+          loop.rafId = requestAnimationFrame(onFrame);
+        }
+      };
+      loop.rafId = requestAnimationFrame(onFrame);
+    } else if (!useAnimationFrames && loop.timerId === null) {
+      this.pauseLoop(loop);
+      // The loop asked for its frame rate while hidden, so the instance-wide visibility defaults do not apply
+      loop.timerId = this.addTimer('interval', () => this.runLoopFrame(id, loop, this.now()), loop.frameDuration, {
+        catchUp: 'coalesce',
+        driftCorrection: true,
+        label: 'loop',
+        useWorker: 'always',
+        backgroundDelay: null,
+      });
     }
+  }
 
-    // Store native timer functions
-    this.native = {
-      setInterval: window.setInterval.bind(window),
-      setTimeout: window.setTimeout.bind(window),
-      clearInterval: window.clearInterval.bind(window),
-      clearTimeout: window.clearTimeout.bind(window),
-    };
+  /**
+   * Stop whichever source is currently driving a loop
+   * @private
+   * @param {{rafId: number|null, timerId: number|null}} loop - Loop state
+   */
+  pauseLoop(loop) {
+    if (loop.rafId !== null) {
+      cancelAnimationFrame(loop.rafId);
+      loop.rafId = null;
+    }
+    if (loop.timerId !== null) {
+      this.removeTimer('clearInterval', loop.timerId);
+      loop.timerId = null;
+    }
+  }
 
-    // Create Web Worker from embedded code
+  /**
+   * Deliver one frame to a loop callback
+   * @private
+   * @param {number} id - Loop ID
+   * @param {{callback: Function, frame: number, lastTime: number}} loop - Loop state
+   * @param {number} time - Current time
+   */
+  runLoopFrame(id, loop, time) {
+    const deltaTime = time - loop.lastTime;
+    loop.lastTime = time;
+    loop.frame++;
     try {
-      const blob = new Blob([WORKER_CODE], { type: 'application/javascript' });
-      this.workerUrl = URL.createObjectURL(blob);
-      this.worker = new Worker(this.workerUrl);
+      loop.callback(deltaTime, loop.frame);
     } catch (error) {
-      // Try fallback for stricter CSP environments
-      try {
-        const dataUrl = `data:application/javascript;base64,${btoa(WORKER_CODE)}`;
-        this.worker = new Worker(dataUrl);
-      } catch (fallbackError) {
-        throw new Error('[TabSafeTimers] Failed to create worker: ' + fallbackError.message);
-      }
+      this.handleError(error, { source: 'callback', id, type: 'loop' });
     }
+  }
 
-    // Set up worker message handler
-    this.worker.onmessage = (e) => {
-      const { type, id } = e.data;
-      if (type === 'tick') {
-        const callbackData = this.callbacks.get(id);
-        if (callbackData) {
-          try {
-            callbackData.callback(...callbackData.args);
-          } catch (error) {
-            console.error('[TabSafeTimers] Error in timer callback:', error);
-          }
+  /**
+   * Run an interval in only one of the tabs that register the same key. The tabs elect a leader
+   * over `BroadcastChannel`; it renews a lease on worker ticks, and another tab takes over when
+   * the leader closes or its lease runs out. A joining tab waits a third of the lease for an
+   * existing leader to answer before claiming.
+   * @param {string} key - Name shared by every tab that runs this interval
+   * @param {Function} callback - Function to execute in the leader tab
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {Object} [options] - Shared interval options
+   * @param {number} [options.leaseDuration=5000] - Milliseconds without a heartbeat before another tab takes over
+   * @param {Function} [options.onLeadershipChange] - Receives `true` when this tab becomes the leader and `false` when it stops
+   * @throws {Error} When the instance is not initialized or the key is already in use in this tab
+   * @throws {TypeError} When the key, callback or an option is invalid
+   * @throws {RangeError} When leaseDuration is not a positive number
+   * @example
+   * timers.setSharedInterval('sync', () => api.sync(), 30000);
+   */
+  setSharedInterval(key, callback, delay = 0, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('[TabSafeTimers] Not initialized');
+    }
+    if (typeof key !== 'string' || key === '') {
+      throw new TypeError('[TabSafeTimers] Shared interval key must be a non-empty string');
+    }
+    if (typeof callback !== 'function') {
+      throw new TypeError('Callback must be a function');
+    }
+    const { leaseDuration = DEFAULT_LEASE_DURATION, onLeadershipChange = null } = options;
+    if (typeof leaseDuration !== 'number' || !Number.isFinite(leaseDuration) || leaseDuration <= 0) {
+      throw new RangeError('[TabSafeTimers] Invalid shared interval option "leaseDuration": expected a positive number');
+    }
+    if (onLeadershipChange !== null && typeof onLeadershipChange !== 'function') {
+      throw new TypeError('[TabSafeTimers] Invalid shared interval option "onLeadershipChange": expected a function');
+    }
+    if (this.sharedIntervals.has(key)) {
+      throw new Error(`[TabSafeTimers] Shared interval "${key}" already exists`);
+    }
 
-          // Remove one-time timeouts
-          if (callbackData.type === 'timeout') {
-            this.callbacks.delete(id);
-          }
-        }
-      }
+    const shared = {
+      key,
+      callback,
+      delay,
+      leaseDuration,
+      onLeadershipChange,
+      channel: null,
+      leader: false,
+      since: 0,
+      leaderId: null,
+      leaderSince: 0,
+      leaseExpiresAt: 0,
+      timerId: null,
+      leaseTimerId: null,
     };
+    this.sharedIntervals.set(key, shared);
 
-    this.worker.onerror = (error) => {
-      console.error('[TabSafeTimers] Worker error:', error);
-    };
+    if (typeof BroadcastChannel === 'undefined') {
+      // No other tab can be reached, so this one always leads
+      this.claimLeadership(shared);
+      return;
+    }
 
-    // Override global timer functions
-    this.overrideGlobalTimers();
+    if (!this.tabId) {
+      this.tabId = createTabId();
+    }
+    shared.channel = new BroadcastChannel(SHARED_CHANNEL_PREFIX + key);
+    shared.channel.onmessage = (e) => this.handleSharedMessage(shared, e.data);
+    // Leases only work if every tab renews and checks them on time, hidden or not
+    shared.leaseTimerId = this.addTimer('interval', () => this.checkLease(shared), leaseDuration / 3, {
+      label: `shared lease: ${key}`,
+      useWorker: 'always',
+      backgroundDelay: null,
+    });
+    if (!this.pageHideListener && typeof window !== 'undefined') {
+      this.pageHideListener = () => {
+        for (const entry of this.sharedIntervals.values()) {
+          this.resignLeadership(entry);
+        }
+      };
+      window.addEventListener('pagehide', this.pageHideListener);
+    }
+    shared.channel.postMessage({ type: 'hello', tabId: this.tabId });
+  }
 
-    this.isInitialized = true;
+  /**
+   * Stop a shared interval in this tab, handing leadership to another tab if this one led
+   * @param {string} key - Key passed to `setSharedInterval`
+   * @returns {boolean} Whether a shared interval was stopped
+   */
+  clearSharedInterval(key) {
+    const shared = this.sharedIntervals.get(key);
+    if (!shared) {
+      return false;
+    }
+    this.resignLeadership(shared);
+    if (shared.leaseTimerId !== null) {
+      this.removeTimer('clearInterval', shared.leaseTimerId);
+    }
+    if (shared.channel) {
+      shared.channel.close();
+    }
+    this.sharedIntervals.delete(key);
+
+    if (this.sharedIntervals.size === 0 && this.pageHideListener) {
+      window.removeEventListener('pagehide', this.pageHideListener);
+      this.pageHideListener = null;
+    }
     return true;
   }
 
   /**
-   * Override the global timer functions
+   * Whether this tab currently runs a shared interval
+   * @param {string} key - Key passed to `setSharedInterval`
+   * @returns {boolean} `true` if this tab is the leader for the key
+   */
+  isSharedIntervalLeader(key) {
+    const shared = this.sharedIntervals.get(key);
+    return Boolean(shared && shared.leader);
+  }
+
+  /**
+   * React to another tab's message about a shared interval
+   * @private
+   * @param {Object} shared - Shared interval state
+   * @param {{type: 'hello'|'heartbeat'|'resign', tabId: string, since?: number}} message - Message from the channel
+   */
+  handleSharedMessage(shared, message) {
+    switch (message.type) {
+      case 'hello':
+        // Answer newcomers right away so they do not claim
+        if (shared.leader) {
+          this.sendHeartbeat(shared);
+        }
+        break;
+
+      case 'heartbeat':
+        if (shared.leader) {
+          if (precedes(message.since, message.tabId, shared.since, this.tabId)) {
+            this.stepDown(shared);
+            this.followLeader(shared, message);
+          } else {
+            // Tell the other claimant that this tab leads
+            this.sendHeartbeat(shared);
+          }
+        } else if (
+          message.tabId === shared.leaderId ||
+          this.now() >= shared.leaseExpiresAt ||
+          precedes(message.since, message.tabId, shared.leaderSince, shared.leaderId)
+        ) {
+          this.followLeader(shared, message);
+        }
+        break;
+
+      case 'resign':
+        if (!shared.leader && message.tabId === shared.leaderId) {
+          this.claimLeadership(shared);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Renew the lease while leading, or claim leadership once the leader's lease has run out
+   * @private
+   * @param {Object} shared - Shared interval state
+   */
+  checkLease(shared) {
+    if (shared.leader) {
+      this.sendHeartbeat(shared);
+    } else if (this.now() >= shared.leaseExpiresAt) {
+      this.claimLeadership(shared);
+    }
+  }
+
+  /**
+   * Become the leader for a shared interval and start running its callback
+   * @private
+   * @param {Object} shared - Shared interval state
+   */
+  claimLeadership(shared) {
+    shared.leader = true;
+    shared.since = this.now();
+    shared.leaderId = null;
+    shared.timerId = this.addTimer('interval', shared.callback, shared.delay, {
+      label: `shared: ${shared.key}`,
+      useWorker: 'always',
+      backgroundDelay: null,
+    });
+    this.sendHeartbeat(shared);
+    this.notifyLeadership(shared);
+  }
+
+  /**
+   * Stop running a shared interval's callback after another tab won leadership
+   * @private
+   * @param {Object} shared - Shared interval state
+   */
+  stepDown(shared) {
+    shared.leader = false;
+    this.removeTimer('clearInterval', shared.timerId);
+    shared.timerId = null;
+    this.notifyLeadership(shared);
+  }
+
+  /**
+   * Give up leadership and tell the other tabs to elect a new leader right away
+   * @private
+   * @param {Object} shared - Shared interval state
+   */
+  resignLeadership(shared) {
+    if (!shared.leader) {
+      return;
+    }
+    this.stepDown(shared);
+    // Leave the election to the other tabs rather than reclaiming on the next lease check
+    shared.leaseExpiresAt = this.now() + shared.leaseDuration;
+    if (shared.channel) {
+      shared.channel.postMessage({ type: 'resign', tabId: this.tabId });
+    }
+  }
+
+  /**
+   * Record another tab as the leader and extend its lease
+   * @private
+   * @param {Object} shared - Shared interval state
+   * @param {{tabId: string, since: number}} heartbeat - Leader's heartbeat
+   */
+  followLeader(shared, heartbeat) {
+    shared.leaderId = heartbeat.tabId;
+    shared.leaderSince = heartbeat.since;
+    shared.leaseExpiresAt = this.now() + shared.leaseDuration;
+  }
+
+  /**
+   * Announce this tab's leadership to the other tabs
+   * @private
+   * @param {Object} shared - Shared interval state
+   */
+  sendHeartbeat(shared) {
+    if (shared.channel) {
+      shared.channel.postMessage({ type: 'heartbeat', tabId: this.tabId, since: shared.since });
+    }
+  }
+
+  /**
+   * Call a shared interval's `onLeadershipChange` option
+   * @private
+   * @param {Object} shared - Shared interval state
+   */
+  notifyLeadership(shared) {
+    if (!shared.onLeadershipChange) {
+      return;
+    }
+    try {
+      shared.onLeadershipChange(shared.leader);
+    } catch (error) {
+      this.handleError(error, { source: 'callback', type: 'interval' });
+    }
+  }
+
+  /**
+   * Override the global timer functions selected by `options.overrideGlobals`
    * @private
    */
   overrideGlobalTimers() {
     const self = this;
+    const overrides = {};
 
     /**
-     * @param {Function} callback - Function to execute
-     * @param {number} [delay=0] - Delay in milliseconds
-     * @param {...any} args - Arguments to pass to callback
+     * @param {Function|string} handler - Function to execute, or code when `stringHandlers` is on
+     * @param {number} [timeout=0] - Delay in milliseconds
+     * @param {...any} args - Arguments to pass to handler
      * @returns {number} Timer ID
      */
-    window.setInterval = function (callback, delay = 0, ...args) {
+    overrides.setInterval = function (handler, timeout = 0, ...args) {
       if (!self.isInitialized) {
-        return self.native.setInterval(callback, delay, ...args);
-      }
-
-      // Validate inputs
-      if (typeof callback !== 'function') {
-        throw new TypeError('Callback must be a function');
+        return self.native.setInterval(handler, timeout, ...args);
       }
-
-      // Sanitize delay value
-      const sanitizedDelay = Math.max(0, parseInt(delay) || 0);
-
-      const id = ++self.idCounter;
-      self.callbacks.set(id, {
-        type: 'interval',
-        callback,
-        args,
-        delay: sanitizedDelay,
-      });
-      self.worker.postMessage({
-        command: 'setInterval',
-        id,
-        delay: sanitizedDelay,
-      });
-      return id;
+      return self.addGlobalTimer('interval', handler, timeout, args);
     };
 
     /**
-     * @param {Function} callback - Function to execute
-     * @param {number} [delay=0] - Delay in milliseconds
-     * @param {...any} args - Arguments to pass to callback
+     * @param {Function|string} handler - Function to execute, or code when `stringHandlers` is on
+     * @param {number} [timeout=0] - Delay in milliseconds
+     * @param {...any} args - Arguments to pass to handler
      * @returns {number} Timer ID
      */
-    window.setTimeout = function (callback, delay = 0, ...args) {
+    overrides.setTimeout = function (handler, timeout = 0, ...args) {
       if (!self.isInitialized) {
-        return self.native.setTimeout(callback, delay, ...args);
-      }
-
-      // Validate inputs
-      if (typeof callback !== 'function') {
-        throw new TypeError('Callback must be a function');
+        return self.native.setTimeout(handler, timeout, ...args);
       }
-
-      // Sanitize delay value
-      const sanitizedDelay = Math.max(0, parseInt(delay) || 0);
-
-      const id = ++self.idCounter;
-      self.callbacks.set(id, {
-        type: 'timeout',
-        callback,
-        args,
-        delay: sanitizedDelay,
-      });
-      self.worker.postMessage({
-        command: 'setTimeout',
-        id,
-        delay: sanitizedDelay,
-      });
-      return id;
+      return self.addGlobalTimer('timeout', handler, timeout, args);
     };
 
     /**
-     * @param {number} id - Timer ID to clear
+     * @param {number} [id=0] - Timer ID to clear
      */
-    window.clearInterval = function (id) {
-      if (!self.isInitialized) {
-        return self.native.clearInterval(id);
-      }
-
-      if (self.callbacks.has(id)) {
-        self.callbacks.delete(id);
-        self.worker.postMessage({ command: 'clearInterval', id });
-      } else {
-        // Fallback for native timer IDs
+    overrides.clearInterval = function (id = 0) {
+      // Native IDs stay below TIMER_ID_BASE, so they never match one of ours
+      if (!self.clearInterval(toLong(id))) {
         self.native.clearInterval(id);
       }
     };
 
     /**
-     * @param {number} id - Timer ID to clear
+     * @param {number} [id=0] - Timer ID to clear
      */
-    window.clearTimeout = function (id) {
-      if (!self.isInitialized) {
-        return self.native.clearTimeout(id);
-      }
-
-      if (self.callbacks.has(id)) {
-        self.callbacks.delete(id);
-        self.worker.postMessage({ command: 'clearTimeout', id });
-      } else {
-        // Fallback for native timer IDs
+    overrides.clearTimeout = function (id = 0) {
+      if (!self.clearTimeout(toLong(id))) {
         self.native.clearTimeout(id);
       }
     };
+
+    for (const name of this.options.overrideGlobals) {
+      window[name] = overrides[name];
+    }
   }
 
   /**
@@ -260,24 +2829,37 @@ class TabSafeTimers {
     }
 
     // Restore native timer functions
-    if (this.native) {
-      window.setInterval = this.native.setInterval;
-      window.setTimeout = this.native.setTimeout;
-      window.clearInterval = this.native.clearInterval;
-      window.clearTimeout = this.native.clearTimeout;
+    if (this.native && this.status !== 'server') {
+      for (const name of this.options.overrideGlobals) {
+        window[name] = this.native[name];
+      }
+    }
+
+    this.stopHeartbeat();
+
+    for (const key of [...this.sharedIntervals.keys()]) {
+      this.clearSharedInterval(key);
+    }
+
+    for (const id of [...this.loops.keys()]) {
+      this.stopLoop(id);
     }
 
     // Clear all active timers
-    for (const id of this.callbacks.keys()) {
-      this.worker.postMessage({ command: 'clearInterval', id });
+    const activeTimers = this.callbacks.size;
+    for (const [id, entry] of [...this.callbacks]) {
+      this.send(entry, { command: 'clearInterval', id });
+      this.forgetTimer(id);
     }
-    this.callbacks.clear();
+    this.flushCommands();
+    this.disposeNativeWorker();
 
     // Terminate worker and clean up
     if (this.worker) {
       this.worker.terminate();
       this.worker = null;
     }
+    this.workerType = null;
 
     // Clean up Blob URL if it was created
     if (this.workerUrl) {
@@ -285,7 +2867,125 @@ class TabSafeTimers {
       this.workerUrl = null;
     }
 
+    this.status = 'idle';
     this.isInitialized = false;
+    this.emit('destroy', { activeTimers });
+  }
+}
+
+/**
+ * @class TimerScope
+ * @description A group of tab-safe timers that is cleared together. Create one with `TabSafeTimers#createScope`.
+ */
+class TimerScope {
+  /**
+   * @param {TabSafeTimers} timers - Instance that schedules the timers
+   */
+  constructor(timers) {
+    /** @type {TabSafeTimers} */
+    this.timers = timers;
+    /** @type {Set<number>} */
+    this.ids = new Set();
+  }
+
+  /**
+   * Number of timers in this scope that are still scheduled
+   * @returns {number}
+   */
+  get size() {
+    return this.ids.size;
+  }
+
+  /**
+   * Schedule a repeating callback in this scope
+   * @param {Function} callback - Function to execute
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {...any} args - Arguments to pass to callback
+   * @returns {number} Timer ID
+   */
+  setInterval(callback, delay = 0, ...args) {
+    return this.timers.addTimer('interval', callback, delay, { args, scope: this });
+  }
+
+  /**
+   * Schedule a one-time callback in this scope
+   * @param {Function} callback - Function to execute
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {...any} args - Arguments to pass to callback
+   * @returns {number} Timer ID
+   */
+  setTimeout(callback, delay = 0, ...args) {
+    return this.timers.addTimer('timeout', callback, delay, { args, scope: this });
+  }
+
+  /**
+   * Schedule a repeating callback with per-interval options in this scope
+   * @param {Function} callback - Function to execute
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {Object} [options] - Same options as `TabSafeTimers#scheduleInterval`
+   * @returns {number} Timer ID
+   */
+  scheduleInterval(callback, delay = 0, options = {}) {
+    return this.timers.addTimer('interval', callback, delay, { ...options, scope: this });
+  }
+
+  /**
+   * Schedule a one-time callback with per-timeout options in this scope
+   * @param {Function} callback - Function to execute
+   * @param {number} [delay=0] - Delay in milliseconds
+   * @param {Object} [options] - Same options as `TabSafeTimers#scheduleTimeout`
+   * @returns {number} Timer ID
+   */
+  scheduleTimeout(callback, delay = 0, options = {}) {
+    return this.timers.addTimer('timeout', callback, delay, { ...options, scope: this });
+  }
+
+  /**
+   * Run a callback once at a wall-clock time in this scope
+   * @param {Date|number|string} date - When to run
+   * @param {Function} callback - Function to execute
+   * @param {Object} [options] - Same options as `TabSafeTimers#scheduleAt`
+   * @returns {number} Timer ID
+   */
+  scheduleAt(date, callback, options = {}) {
+    return this.timers.scheduleAt(date, callback, { ...options, scope: this });
+  }
+
+  /**
+   * Run a callback whenever a cron expression matches, in this scope
+   * @param {string} expression - Cron expression
+   * @param {Function} callback - Function to execute
+   * @param {Object} [options] - Same options as `TabSafeTimers#schedule`
+   * @returns {number} Timer ID
+   */
+  schedule(expression, callback, options = {}) {
+    return this.timers.schedule(expression, callback, { ...options, scope: this });
+  }
+
+  /**
+   * Cancel an interval created by this scope
+   * @param {number} id - Timer ID to clear
+   * @returns {boolean} Whether a timer was cleared
+   */
+  clearInterval(id) {
+    return this.ids.has(id) && this.timers.clearInterval(id);
+  }
+
+  /**
+   * Cancel a timeout created by this scope
+   * @param {number} id - Timer ID to clear
+   * @returns {boolean} Whether a timer was cleared
+   */
+  clearTimeout(id) {
+    return this.ids.has(id) && this.timers.clearTimeout(id);
+  }
+
+  /**
+   * Cancel every timer in this scope with a single worker message. The scope stays usable.
+   * @returns {number} Number of timers cleared
+   */
+  clearAll() {
+    return this.timers.clearScope(this);
   }
 }
 
@@ -294,8 +2994,26 @@ let instance = null;
 
 /**
  * Initialize tab-safe timers
+ * @param {Object} [options] - Configuration options, ignored if already initialized
+ * @param {boolean|string[]} [options.overrideGlobals=true] - Global timer functions to replace, `false` for none
+ * @param {Function} [options.onError] - Receives `(error, context)` instead of `console.error`
+ * @param {string|URL} [options.workerUrl] - Load the worker from this URL instead of the embedded code
+ * @param {number} [options.minDelay=0] - Lower bound in milliseconds applied to every delay
+ * @param {boolean} [options.driftCorrection=false] - Schedule interval ticks against their start time so latency does not accumulate
+ * @param {'burst'|'coalesce'|'skip'} [options.catchUp='burst'] - Default policy for interval ticks missed while the main thread was busy
+ * @param {boolean} [options.fallback=true] - Run timers on native main-thread timers if the worker cannot be created or crashes
+ * @param {boolean|Object} [options.supervisor=false] - Restart the worker when it errors or stops answering heartbeats
+ * @param {boolean} [options.captureStacks=false] - Record the call stack that created each timer, for `getActiveTimers()`
+ * @param {boolean} [options.batch=false] - Send worker commands and ticks in one message per task instead of one per timer
+ * @param {'always'|'whenHidden'} [options.useWorker='always'] - Default for when timers use the worker; `whenHidden` uses native timers while the page is visible
+ * @param {number} [options.backgroundDelay] - Default period for intervals while the page is hidden
+ * @param {boolean} [options.sharedWorker=false] - Run timers on one SharedWorker for all tabs where supported
+ * @param {number} [options.sleepThreshold=5000] - Milliseconds of unexplained time reported as a `sleep` or `clockjump` event
+ * @param {boolean} [options.fireOverdueOnWake=false] - Run timeouts that fell due while the system slept as soon as it wakes
+ * @param {boolean} [options.stringHandlers=false] - Let the overridden `setTimeout` and `setInterval` run code passed as a string
  * @returns {TabSafeTimers} The TabSafeTimers instance
- * @throws {Error} If initialization fails
+ * @throws {TypeError|RangeError} If an option is invalid
+ * @throws {Error} If Web Workers are not supported and `fallback` is disabled
  * @example
  * // Basic usage
  * import { initTabSafeTimers } from '@vorthain/tab-safe-timers';
@@ -305,11 +3023,25 @@ let instance = null;
  * setInterval(() => {
  *   console.log('This runs every second, even in background tabs!');
  * }, 1000);
+ *
+ * @example
+ * // Non-invasive usage
+ * const timers = initTabSafeTimers({ overrideGlobals: false });
+ *
+ * timers.setInterval(() => {
+ *   console.log('Only this interval is tab-safe');
+ * }, 1000);
  */
-export function initTabSafeTimers() {
+export function initTabSafeTimers(options) {
   if (!instance) {
-    instance = new TabSafeTimers();
-    const success = instance.init();
+    instance = new TabSafeTimers(options);
+    let success;
+    try {
+      success = instance.init();
+    } catch (error) {
+      instance = null;
+      throw error;
+    }
     if (!success) {
       instance = null;
       throw new Error('Failed to initialize TabSafeTimers');
@@ -0,0 +1,354 @@
+/**
+ * @module @vorthain/tab-safe-timers/testing
+ * @description In-process fake worker and controllable clock for testing code built on tab-safe timers
+ * @author Vorthain
+ * @license MIT
+ */
+
+import { TabSafeTimers, WORKER_CODE } from './index.js';
+
+/**
+ * Native timer callbacks `runAll` runs before deciding an interval will never stop, and
+ * `advanceBy` runs at one instant before deciding a zero-delay timer will never stop
+ */
+const RUN_ALL_LIMIT = 100000;
+
+/**
+ * @class FakeClock
+ * @description Clock that only moves when told to. It drives the fake workers of every
+ * `TestTabSafeTimers` created with it and delivers their messages synchronously, so
+ * timer callbacks have run by the time `advanceBy` returns. It never touches the global
+ * timers, so it works the same with or without Jest fake timers.
+ */
+export class FakeClock {
+  /**
+   * @param {number} [startTime=Date.now()] - Epoch milliseconds the clock starts at
+   */
+  constructor(startTime = Date.now()) {
+    if (typeof startTime !== 'number' || !Number.isFinite(startTime)) {
+      throw new TypeError('[TabSafeTimers] FakeClock start time must be a finite number');
+    }
+    /** @type {number} */
+    this.time = startTime;
+    /**
+     * Difference between the wall clock and the monotonic clock, changed by `setSystemTime`
+     * @type {number}
+     */
+    this.wallOffset = 0;
+    /**
+     * Native timers scheduled by the fake workers, in the order they were created
+     * @type {Map<number, {handle: number, time: number, callback: Function}>}
+     */
+    this.timers = new Map();
+    /** @type {number} */
+    this.handleCounter = 0;
+    /**
+     * Worker messages waiting to be delivered to the main thread
+     * @type {Function[]}
+     */
+    this.messages = [];
+    /**
+     * Initialized instances driven by this clock, for `runOnlyPending`
+     * @type {Set<TestTabSafeTimers>}
+     */
+    this.instances = new Set();
+  }
+
+  /**
+   * Current monotonic time
+   * @returns {number} Epoch milliseconds
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Current wall-clock time, what `Date.now()` returns inside the fake workers
+   * @returns {number} Epoch milliseconds
+   */
+  dateNow() {
+    return this.time + this.wallOffset;
+  }
+
+  /**
+   * Change the wall clock without moving the monotonic one, like a user changing the system
+   * clock or a laptop waking up. Wall-clock timers and sleep detection notice on their next check.
+   * @param {Date|number} time - New wall-clock time
+   * @throws {TypeError} When the time is invalid
+   */
+  setSystemTime(time) {
+    const wallTime = time instanceof Date ? time.getTime() : time;
+    if (typeof wallTime !== 'number' || !Number.isFinite(wallTime)) {
+      throw new TypeError('[TabSafeTimers] System time must be a Date or finite number');
+    }
+    this.wallOffset = wallTime - this.time;
+  }
+
+  /**
+   * Move time forward, running every timer that falls due on the way
+   * @param {number} ms - Milliseconds to advance
+   * @throws {RangeError} When ms is negative or not finite
+   * @throws {Error} When timers keep falling due without time moving, e.g. a zero-delay timer scheduling itself
+   */
+  advanceBy(ms) {
+    if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) {
+      throw new RangeError('[TabSafeTimers] advanceBy expects a non-negative finite number');
+    }
+    const target = this.time + ms;
+    this.flush();
+    let count = 0;
+    for (let next = this.next(); next && next.time <= target; next = this.next()) {
+      const time = this.time;
+      this.fire(next);
+      count = this.time === time ? count + 1 : 0;
+      if (count >= RUN_ALL_LIMIT) {
+        throw new Error(
+          `[TabSafeTimers] advanceBy aborted after ${RUN_ALL_LIMIT} timers at ${this.time}, a zero-delay timer is probably scheduling itself`,
+        );
+      }
+    }
+    this.time = target;
+  }
+
+  /**
+   * Advance to the latest deadline of the timers scheduled right now, so each of them runs.
+   * Intervals with a shorter period may tick more than once on the way; timers scheduled
+   * by the callbacks only run if they fall due before that deadline.
+   */
+  runOnlyPending() {
+    this.flush();
+    let target = this.time;
+    for (const instance of this.instances) {
+      for (const timer of instance.getActiveTimers()) {
+        if (!timer.paused) {
+          target = Math.max(target, timer.nextFireAt);
+        }
+      }
+    }
+    for (const timer of this.timers.values()) {
+      target = Math.max(target, timer.time);
+    }
+    this.advanceBy(target - this.time);
+  }
+
+  /**
+   * Run timers until none are left, including ones scheduled by the callbacks.
+   * Wall-clock timers are checked every simulated second, so each second until they fire counts.
+   * @throws {Error} When timers keep being scheduled, e.g. by an interval
+   */
+  runAll() {
+    this.flush();
+    for (let count = 0; count < RUN_ALL_LIMIT; count++) {
+      const next = this.next();
+      if (!next) {
+        return;
+      }
+      this.fire(next);
+    }
+    throw new Error(`[TabSafeTimers] runAll aborted after ${RUN_ALL_LIMIT} timers, an interval is probably still running`);
+  }
+
+  /**
+   * Deliver worker messages that are still waiting, such as results of async worker tasks,
+   * and send the commands that instances with `batch` on hold until the end of a task
+   */
+  flush() {
+    for (;;) {
+      if (this.messages.length > 0) {
+        this.messages.shift()();
+        continue;
+      }
+      const batched = [...this.instances].filter((instance) => instance.outbox);
+      if (batched.length === 0) {
+        return;
+      }
+      for (const instance of batched) {
+        instance.flushCommands();
+      }
+    }
+  }
+
+  /**
+   * Schedule a native timer on this clock
+   * @private
+   * @param {Function} callback - Function to run
+   * @param {number} delay - Delay in milliseconds
+   * @returns {number} Handle for `clearTimeout`
+   */
+  setTimeout(callback, delay) {
+    const handle = ++this.handleCounter;
+    this.timers.set(handle, { handle, time: this.time + Math.max(0, delay || 0), callback });
+    return handle;
+  }
+
+  /**
+   * Cancel a native timer on this clock
+   * @private
+   * @param {number} handle - Handle returned by `setTimeout`
+   */
+  clearTimeout(handle) {
+    this.timers.delete(handle);
+  }
+
+  /**
+   * Earliest native timer, the first one created on ties
+   * @private
+   * @returns {{handle: number, time: number, callback: Function}|null} Next timer
+   */
+  next() {
+    let earliest = null;
+    for (const timer of this.timers.values()) {
+      if (!earliest || timer.time < earliest.time) {
+        earliest = timer;
+      }
+    }
+    return earliest;
+  }
+
+  /**
+   * Run a native timer at its due time, then deliver what the worker posted
+   * @private
+   * @param {{handle: number, time: number, callback: Function}} timer - Timer to run
+   */
+  fire(timer) {
+    this.timers.delete(timer.handle);
+    this.time = Math.max(this.time, timer.time);
+    timer.callback();
+    this.flush();
+  }
+}
+
+/**
+ * @class FakeWorker
+ * @description Runs the real timer worker code in-process on a `FakeClock`
+ * @private
+ */
+class FakeWorker {
+  /**
+   * @param {FakeClock} clock - Clock that drives the worker
+   */
+  constructor(clock) {
+    this.onmessage = null;
+    this.onerror = null;
+    this.terminated = false;
+    this.clock = clock;
+    this.handles = new Set();
+    this.scope = {
+      performance: { timeOrigin: 0, now: () => clock.now() },
+      Date: { now: () => clock.dateNow() },
+      setTimeout: (callback, delay) => {
+        const handle = clock.setTimeout(() => {
+          this.handles.delete(handle);
+          callback();
+        }, delay);
+        this.handles.add(handle);
+        return handle;
+      },
+      clearTimeout: (handle) => {
+        this.handles.delete(handle);
+        clock.clearTimeout(handle);
+      },
+      // Batched ticks are sent when the clock finishes the current step, not on a real microtask
+      queueMicrotask: (callback) => {
+        clock.messages.push(callback);
+      },
+      // Like a real worker, messages arrive after the current task: on the next clock step
+      postMessage: (data) => {
+        clock.messages.push(() => {
+          if (!this.terminated && this.onmessage) {
+            this.onmessage({ data });
+          }
+        });
+      },
+    };
+    new Function('self', WORKER_CODE)(this.scope);
+  }
+
+  postMessage(data) {
+    if (!this.terminated) {
+      this.scope.onmessage({ data });
+    }
+  }
+
+  terminate() {
+    this.terminated = true;
+    for (const handle of this.handles) {
+      this.clock.clearTimeout(handle);
+    }
+    this.handles.clear();
+  }
+}
+
+/**
+ * @class TestTabSafeTimers
+ * @description `TabSafeTimers` whose worker runs in-process on a `FakeClock`. Callback
+ * dispatch, policies and errors are the real ones; only the thread and the clock are fake.
+ * @extends TabSafeTimers
+ */
+export class TestTabSafeTimers extends TabSafeTimers {
+  /**
+   * @param {FakeClock} clock - Clock that drives the timers
+   * @param {Object} [options] - Same options as `TabSafeTimers`
+   */
+  constructor(clock, options = {}) {
+    super(options);
+    if (!(clock instanceof FakeClock)) {
+      throw new TypeError('[TabSafeTimers] TestTabSafeTimers needs a FakeClock');
+    }
+    /** @type {FakeClock} */
+    this.clock = clock;
+  }
+
+  init() {
+    const initialized = super.init();
+    if (initialized) {
+      this.clock.instances.add(this);
+    }
+    return initialized;
+  }
+
+  destroy() {
+    this.clock.instances.delete(this);
+    super.destroy();
+  }
+
+  /** @private */
+  now() {
+    return this.clock.now();
+  }
+
+  /** @private */
+  dateNow() {
+    return this.clock.dateNow();
+  }
+
+  /** @private */
+  createWorker() {
+    return { worker: new FakeWorker(this.clock), url: null, type: 'dedicated' };
+  }
+
+  /** @private */
+  createNativeBackend() {
+    return new FakeWorker(this.clock);
+  }
+}
+
+/**
+ * Create and initialize tab-safe timers that run on a fake clock
+ * @param {Object} [options] - Same options as `initTabSafeTimers`
+ * @param {FakeClock} [clock] - Clock to drive the timers, a new one starting at `Date.now()` by default
+ * @returns {TestTabSafeTimers} Initialized instance; its clock is `instance.clock`
+ * @example
+ * const timers = createTestTimers({ overrideGlobals: false });
+ * const callback = jest.fn();
+ * timers.setTimeout(callback, 1000);
+ *
+ * timers.clock.advanceBy(1000);
+ * expect(callback).toHaveBeenCalledTimes(1);
+ * timers.destroy();
+ */
+export function createTestTimers(options = {}, clock = new FakeClock()) {
+  const timers = new TestTabSafeTimers(clock, options);
+  timers.init();
+  return timers;
+}
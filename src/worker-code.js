@@ -0,0 +1,499 @@
+// Generated from src/worker.js by `npm run build:worker`. Do not edit.
+
+/**
+ * Source of the timer worker. Serve it as a file and pass its URL as the
+ * `workerUrl` option when your Content Security Policy blocks `blob:` workers.
+ * @type {string}
+ */
+export const WORKER_CODE = [
+  "(function timerWorker(self) {",
+  "  // Shared worker: every connecting tab gets its own timer table, so IDs are namespaced per port",
+  "  if ('onconnect' in self && typeof self.postMessage !== 'function') {",
+  "    self.onconnect = (e) => {",
+  "      const port = e.ports[0];",
+  "      const scope = {",
+  "        performance: self.performance,",
+  "        Date: self.Date,",
+  "        setTimeout: (callback, delay) => self.setTimeout(callback, delay),",
+  "        clearTimeout: (handle) => self.clearTimeout(handle),",
+  "        postMessage: (message) => port.postMessage(message),",
+  "      };",
+  "      timerWorker(scope);",
+  "      port.onmessage = (message) => scope.onmessage(message);",
+  "    };",
+  "    return;",
+  "  }",
+  "",
+  "  // Every timer lives in `timers`; its deadline sits in a binary min-heap and a single",
+  "  // native timeout is armed for the earliest one, however many timers are scheduled",
+  "  const timers = new Map();",
+  "  const heap = [];",
+  "  let seq = 0;",
+  "  let armed = null;",
+  "",
+  "  // High resolution epoch time, comparable with the main thread's clock",
+  "  const now = () => self.performance.timeOrigin + self.performance.now();",
+  "",
+  "  // Earlier deadline first; equal deadlines fire in the order they were scheduled",
+  "  const before = (a, b) => a.time < b.time || (a.time === b.time && a.seq < b.seq);",
+  "",
+  "  const siftUp = (index) => {",
+  "    const node = heap[index];",
+  "    while (index > 0) {",
+  "      const parent = (index - 1) >> 1;",
+  "      if (!before(node, heap[parent])) {",
+  "        break;",
+  "      }",
+  "      heap[index] = heap[parent];",
+  "      index = parent;",
+  "    }",
+  "    heap[index] = node;",
+  "  };",
+  "",
+  "  const siftDown = (index) => {",
+  "    const node = heap[index];",
+  "    for (;;) {",
+  "      let child = 2 * index + 1;",
+  "      if (child >= heap.length) {",
+  "        break;",
+  "      }",
+  "      if (child + 1 < heap.length && before(heap[child + 1], heap[child])) {",
+  "        child++;",
+  "      }",
+  "      if (!before(heap[child], node)) {",
+  "        break;",
+  "      }",
+  "      heap[index] = heap[child];",
+  "      index = child;",
+  "    }",
+  "    heap[index] = node;",
+  "  };",
+  "",
+  "  const pop = () => {",
+  "    const top = heap[0];",
+  "    const last = heap.pop();",
+  "    if (heap.length > 0) {",
+  "      heap[0] = last;",
+  "      siftDown(0);",
+  "    }",
+  "    return top;",
+  "  };",
+  "",
+  "  // Cleared and rescheduled timers leave their old node behind; it is skipped when it surfaces",
+  "  const isLive = (node) => node.timer.node === node;",
+  "",
+  "  // Rebuild once stale nodes dominate, so mass clearing or rescheduling does not leak memory",
+  "  const compact = () => {",
+  "    if (heap.length <= 64 || heap.length <= 2 * timers.size) {",
+  "      return;",
+  "    }",
+  "    let kept = 0;",
+  "    for (const node of heap) {",
+  "      if (isLive(node)) {",
+  "        heap[kept++] = node;",
+  "      }",
+  "    }",
+  "    heap.length = kept;",
+  "    for (let index = (heap.length >> 1) - 1; index >= 0; index--) {",
+  "      siftDown(index);",
+  "    }",
+  "  };",
+  "",
+  "  const enqueue = (timer, time) => {",
+  "    timer.dueTime = time;",
+  "    timer.node = { time, seq: ++seq, timer };",
+  "    heap.push(timer.node);",
+  "    siftUp(heap.length - 1);",
+  "    compact();",
+  "  };",
+  "",
+  "  // Alarms wait for a wall-clock time. The monotonic clock stops while the system sleeps and",
+  "  // ignores clock changes, so the wall clock is checked again at least this often.",
+  "  const ALARM_CHECK_INTERVAL = 1000;",
+  "",
+  "  const enqueueAlarm = (alarm) => {",
+  "    enqueue(alarm, now() + Math.max(0, Math.min(alarm.at - self.Date.now(), ALARM_CHECK_INTERVAL)));",
+  "  };",
+  "",
+  "  const remove = (id) => {",
+  "    const timer = timers.get(id);",
+  "    if (!timer) {",
+  "      return;",
+  "    }",
+  "    timers.delete(id);",
+  "    timer.node = null;",
+  "    compact();",
+  "  };",
+  "",
+  "  // Longest delay native timers accept; longer ones overflow and fire at once",
+  "  const MAX_NATIVE_DELAY = 0x7fffffff;",
+  "",
+  "  // Point the native timeout at the earliest live deadline. Deadlines further out than",
+  "  // MAX_NATIVE_DELAY are reached in steps: the run in between finds nothing due and re-arms.",
+  "  const arm = () => {",
+  "    while (heap.length > 0 && !isLive(heap[0])) {",
+  "      pop();",
+  "    }",
+  "    const time = heap.length > 0 ? heap[0].time : null;",
+  "    if (armed && armed.time === time) {",
+  "      return;",
+  "    }",
+  "    if (armed) {",
+  "      self.clearTimeout(armed.handle);",
+  "      armed = null;",
+  "    }",
+  "    if (time !== null) {",
+  "      const delay = Math.min(MAX_NATIVE_DELAY, Math.max(0, time - now()));",
+  "      // Remember both clocks so the next run can tell how much time really passed",
+  "      armed = { time, wall: self.Date.now(), mono: now(), handle: self.setTimeout(run, delay) };",
+  "    }",
+  "  };",
+  "",
+  "  // Gaps longer than this are reported as sleep or a clock jump (the main thread's default)",
+  "  let sleepThreshold = 5000;",
+  "  let fireOverdue = false;",
+  "",
+  "  // Compare how far both clocks moved since the native timeout was armed. It firing late on the",
+  "  // monotonic clock means the worker was suspended; the wall clock getting ahead means the same",
+  "  // where the monotonic clock stops during sleep (a forward clock change looks no different).",
+  "  // The wall clock falling behind means it was set back.",
+  "  const checkClocks = (last, time) => {",
+  "    // Late native timers on a throttled main thread say nothing about sleep",
+  "    const late = self.throttled ? 0 : time - last.time;",
+  "    const drift = self.Date.now() - last.wall - (time - last.mono);",
+  "    if (drift < -sleepThreshold) {",
+  "      self.postMessage({ type: 'clockjump', delta: Math.round(drift) });",
+  "    }",
+  "    const gap = late + Math.max(0, drift);",
+  "    if (gap <= sleepThreshold) {",
+  "      return;",
+  "    }",
+  "    self.postMessage({ type: 'sleep', duration: Math.round(gap) });",
+  "    // Timeouts wait on the monotonic clock, which may have stood still: bring their deadlines",
+  "    // forward by the time it missed so the ones that fell due while asleep run now",
+  "    if (fireOverdue && drift > 0) {",
+  "      for (const timer of timers.values()) {",
+  "        if (timer.type === 'timeout' && !timer.paused) {",
+  "          enqueue(timer, timer.dueTime - drift);",
+  "        }",
+  "      }",
+  "    }",
+  "  };",
+  "",
+  "  // With batching on, ticks produced in the same task are sent together once it ends",
+  "  let batchTicks = false;",
+  "  let pendingTicks = null;",
+  "  const afterTask = (callback) =>",
+  "    typeof self.queueMicrotask === 'function' ? self.queueMicrotask(callback) : Promise.resolve().then(callback);",
+  "",
+  "  const flushTicks = () => {",
+  "    const ticks = pendingTicks;",
+  "    pendingTicks = null;",
+  "    self.postMessage(ticks.length === 1 ? ticks[0] : { type: 'ticks', ticks });",
+  "  };",
+  "",
+  "  const tick = (id, scheduledTime, skipped) => {",
+  "    const message = { type: 'tick', id, scheduledTime, firedTime: now() };",
+  "    if (skipped > 0) {",
+  "      message.skipped = skipped;",
+  "    }",
+  "    if (!batchTicks) {",
+  "      self.postMessage(message);",
+  "      return;",
+  "    }",
+  "    if (!pendingTicks) {",
+  "      pendingTicks = [];",
+  "      afterTask(flushTicks);",
+  "    }",
+  "    pendingTicks.push(message);",
+  "  };",
+  "",
+  "  // Tasks are functions shipped as source that run here, so they do not wait for the main thread",
+  "  const taskFailed = (id, error, stopped, scheduledTime) => {",
+  "    const message = {",
+  "      type: 'taskerror',",
+  "      id,",
+  "      error: { name: error && error.name, message: error && error.message, stack: error && error.stack },",
+  "    };",
+  "    if (stopped) {",
+  "      message.stopped = true;",
+  "    }",
+  "    if (scheduledTime !== undefined) {",
+  "      message.scheduledTime = scheduledTime;",
+  "    }",
+  "    self.postMessage(message);",
+  "  };",
+  "",
+  "  const attachTask = (timer, data) => {",
+  "    if (data.task === undefined) {",
+  "      return true;",
+  "    }",
+  "    try {",
+  "      timer.task = new Function(`return (${data.task})`)();",
+  "      timer.data = data.data;",
+  "      return true;",
+  "    } catch (error) {",
+  "      taskFailed(timer.id, error, true);",
+  "      return false;",
+  "    }",
+  "  };",
+  "",
+  "  // Results carry the time the run was due, so the main thread can follow the interval's schedule",
+  "  const runTask = (timer) => {",
+  "    const { id, dueTime: scheduledTime } = timer;",
+  "    const report = (error) => taskFailed(id, error, false, scheduledTime);",
+  "    try {",
+  "      Promise.resolve(timer.task(timer.data)).then((value) => {",
+  "        try {",
+  "          self.postMessage({ type: 'result', id, value, scheduledTime });",
+  "        } catch (error) {",
+  "          // The result could not be cloned",
+  "          report(error);",
+  "        }",
+  "      }, report);",
+  "    } catch (error) {",
+  "      report(error);",
+  "    }",
+  "  };",
+  "",
+  "  // Deliver an interval tick according to its catch-up policy. Non-burst intervals keep at most",
+  "  // one tick in flight and count the ones that fall due until the main thread acknowledges it.",
+  "  const fireInterval = (interval, scheduledTime, overdue) => {",
+  "    interval.lastScheduledTime = scheduledTime;",
+  "    if (interval.catchUp === 'burst') {",
+  "      tick(interval.id, scheduledTime, overdue);",
+  "      return;",
+  "    }",
+  "    if (interval.awaitingAck) {",
+  "      interval.missed += 1 + overdue;",
+  "      return;",
+  "    }",
+  "    interval.awaitingAck = true;",
+  "    tick(interval.id, scheduledTime, interval.missed + overdue);",
+  "    interval.missed = 0;",
+  "  };",
+  "",
+  "  const run = () => {",
+  "    const last = armed;",
+  "    armed = null;",
+  "    const time = now();",
+  "    checkClocks(last, time);",
+  "    // Collect first so an interval that is due again right away waits for the next run",
+  "    const due = [];",
+  "    while (heap.length > 0 && heap[0].time <= time) {",
+  "      const node = pop();",
+  "      if (isLive(node)) {",
+  "        due.push(node.timer);",
+  "      }",
+  "    }",
+  "",
+  "    for (const timer of due) {",
+  "      if (timers.get(timer.id) !== timer) {",
+  "        continue;",
+  "      }",
+  "      if (timer.type === 'alarm' && self.Date.now() < timer.at) {",
+  "        enqueueAlarm(timer);",
+  "        continue;",
+  "      }",
+  "      if (timer.type !== 'interval') {",
+  "        timers.delete(timer.id);",
+  "        timer.node = null;",
+  "        if (timer.task) {",
+  "          runTask(timer);",
+  "        } else {",
+  "          tick(timer.id, timer.type === 'alarm' ? timer.at : timer.dueTime, 0);",
+  "        }",
+  "        continue;",
+  "      }",
+  "",
+  "      const overdue = timer.overdue;",
+  "      if (timer.task) {",
+  "        runTask(timer);",
+  "      } else {",
+  "        fireInterval(timer, timer.dueTime, overdue);",
+  "      }",
+  "      if (!timer.driftCorrection) {",
+  "        // Each period starts when the previous tick fired, so latency accumulates",
+  "        enqueue(timer, now() + timer.delay);",
+  "        continue;",
+  "      }",
+  "      // Drift-corrected: stay on the start time's grid, re-aligning instead of bursting",
+  "      // if the worker fell a whole period behind",
+  "      let next = timer.dueTime + timer.delay;",
+  "      const behind = now() - next;",
+  "      timer.overdue = timer.delay > 0 && behind > 0 ? Math.ceil(behind / timer.delay) : 0;",
+  "      next += timer.overdue * timer.delay;",
+  "      enqueue(timer, next);",
+  "    }",
+  "    arm();",
+  "  };",
+  "",
+  "  const handle = (data) => {",
+  "    const { command, id, delay, firstDelay = delay, driftCorrection, catchUp = 'burst' } = data;",
+  "",
+  "    switch (command) {",
+  "      case 'setInterval': {",
+  "        remove(id);",
+  "        const interval = {",
+  "          id,",
+  "          type: 'interval',",
+  "          delay,",
+  "          driftCorrection: Boolean(driftCorrection),",
+  "          overdue: 0,",
+  "          catchUp,",
+  "          awaitingAck: false,",
+  "          missed: 0,",
+  "          lastScheduledTime: 0,",
+  "          dueTime: 0,",
+  "          node: null,",
+  "          paused: false,",
+  "          remaining: 0,",
+  "        };",
+  "        if (!attachTask(interval, data)) {",
+  "          break;",
+  "        }",
+  "        timers.set(id, interval);",
+  "        // Re-registered intervals fire their first tick after the remaining time",
+  "        enqueue(interval, now() + firstDelay);",
+  "        break;",
+  "      }",
+  "",
+  "      case 'setTimeout': {",
+  "        remove(id);",
+  "        const timeout = { id, type: 'timeout', delay, dueTime: 0, node: null, paused: false, remaining: 0 };",
+  "        if (!attachTask(timeout, data)) {",
+  "          break;",
+  "        }",
+  "        timers.set(id, timeout);",
+  "        enqueue(timeout, now() + delay);",
+  "        break;",
+  "      }",
+  "",
+  "      case 'setAlarm': {",
+  "        remove(id);",
+  "        const alarm = { id, type: 'alarm', at: data.at, dueTime: 0, node: null, paused: false, remaining: 0 };",
+  "        timers.set(id, alarm);",
+  "        enqueueAlarm(alarm);",
+  "        break;",
+  "      }",
+  "",
+  "      case 'ack': {",
+  "        const interval = timers.get(id);",
+  "        if (!interval || interval.type !== 'interval') {",
+  "          break;",
+  "        }",
+  "        interval.awaitingAck = false;",
+  "        // Coalesce: run once now for everything that fell due while the main thread was busy",
+  "        if (interval.catchUp === 'coalesce' && interval.missed > 0) {",
+  "          const skipped = interval.missed - 1;",
+  "          interval.missed = 0;",
+  "          interval.awaitingAck = true;",
+  "          tick(id, interval.lastScheduledTime, skipped);",
+  "        }",
+  "        break;",
+  "      }",
+  "",
+  "      case 'pause': {",
+  "        const timer = timers.get(id);",
+  "        if (!timer || timer.paused) {",
+  "          break;",
+  "        }",
+  "        timer.paused = true;",
+  "        timer.remaining = Math.max(0, timer.dueTime - now());",
+  "        timer.node = null;",
+  "        if (timer.type === 'interval') {",
+  "          // The main thread drops a tick that was in flight, so forget about acknowledgements",
+  "          timer.awaitingAck = false;",
+  "          timer.missed = 0;",
+  "          timer.overdue = 0;",
+  "        }",
+  "        break;",
+  "      }",
+  "",
+  "      case 'resume': {",
+  "        const timer = timers.get(id);",
+  "        if (timer && timer.paused) {",
+  "          timer.paused = false;",
+  "          if (timer.type === 'alarm') {",
+  "            enqueueAlarm(timer);",
+  "          } else {",
+  "            enqueue(timer, now() + timer.remaining);",
+  "          }",
+  "        }",
+  "        break;",
+  "      }",
+  "",
+  "      case 'reschedule':",
+  "      case 'refresh': {",
+  "        const timer = timers.get(id);",
+  "        if (!timer) {",
+  "          break;",
+  "        }",
+  "        if (command === 'reschedule') {",
+  "          timer.delay = delay;",
+  "        }",
+  "        if (timer.type === 'interval') {",
+  "          timer.overdue = 0;",
+  "        }",
+  "        // A paused timer stays paused and will run a full delay after it resumes",
+  "        if (timer.paused) {",
+  "          timer.remaining = timer.delay;",
+  "        } else {",
+  "          enqueue(timer, now() + timer.delay);",
+  "        }",
+  "        break;",
+  "      }",
+  "",
+  "      case 'ping': {",
+  "        self.postMessage({ type: 'pong', seq: data.seq });",
+  "        break;",
+  "      }",
+  "",
+  "      // Timeouts and intervals share one ID space, so either command clears either kind",
+  "      case 'clearInterval':",
+  "      case 'clearTimeout': {",
+  "        remove(id);",
+  "        break;",
+  "      }",
+  "",
+  "      case 'clearMany': {",
+  "        for (const timerId of data.ids) {",
+  "          remove(timerId);",
+  "        }",
+  "        break;",
+  "      }",
+  "",
+  "      case 'batch': {",
+  "        for (const entry of data.commands) {",
+  "          handle(entry);",
+  "        }",
+  "        break;",
+  "      }",
+  "",
+  "      case 'configure': {",
+  "        batchTicks = Boolean(data.batch);",
+  "        if (data.sleepThreshold !== undefined) {",
+  "          sleepThreshold = data.sleepThreshold;",
+  "        }",
+  "        fireOverdue = Boolean(data.fireOverdue);",
+  "        break;",
+  "      }",
+  "",
+  "      // The tab is going away: drop everything it scheduled",
+  "      case 'close': {",
+  "        for (const timerId of [...timers.keys()]) {",
+  "          remove(timerId);",
+  "        }",
+  "        break;",
+  "      }",
+  "    }",
+  "  };",
+  "",
+  "  // Re-arm once per message, however many commands a batch carried",
+  "  self.onmessage = function (e) {",
+  "    handle(e.data);",
+  "    arm();",
+  "  };",
+  "})(self);",
+  "",
+].join('\n');
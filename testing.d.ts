@@ -0,0 +1,60 @@
+/**
+ * @module @vorthain/tab-safe-timers/testing
+ * @description In-process fake worker and controllable clock for testing code built on tab-safe timers
+ */
+
+import { TabSafeTimers, TabSafeTimersOptions } from './index';
+
+/**
+ * Clock that only moves when told to. It drives the fake workers of every
+ * `TestTabSafeTimers` created with it and delivers their messages synchronously,
+ * so timer callbacks have run by the time `advanceBy` returns. It never touches
+ * the global timers, so it works with or without Jest fake timers.
+ */
+export class FakeClock {
+  /** @param startTime - Epoch milliseconds the clock starts at, `Date.now()` by default */
+  constructor(startTime?: number);
+  /** Current monotonic time in epoch milliseconds */
+  now(): number;
+  /** Current wall-clock time, what `Date.now()` returns inside the fake workers */
+  dateNow(): number;
+  /** Change the wall clock without moving the monotonic one, like a clock change or waking from sleep */
+  setSystemTime(time: Date | number): void;
+  /**
+   * Move time forward, running every timer that falls due on the way
+   * @throws Error if timers keep falling due without time moving, e.g. a zero-delay timer scheduling itself
+   */
+  advanceBy(ms: number): void;
+  /**
+   * Advance to the latest deadline of the timers scheduled right now, so each of them runs.
+   * Intervals with a shorter period may tick more than once on the way.
+   */
+  runOnlyPending(): void;
+  /**
+   * Run timers until none are left, including ones scheduled by the callbacks
+   * @throws Error if timers keep being scheduled, e.g. by an interval
+   */
+  runAll(): void;
+  /**
+   * Deliver worker messages that are still waiting, such as results of async worker tasks,
+   * and send commands that instances with `batch` on are holding
+   */
+  flush(): void;
+}
+
+/**
+ * `TabSafeTimers` whose worker runs in-process on a `FakeClock`. Callback dispatch,
+ * policies and errors are the real ones; only the thread and the clock are fake.
+ */
+export class TestTabSafeTimers extends TabSafeTimers {
+  constructor(clock: FakeClock, options?: TabSafeTimersOptions);
+  /** Clock that drives the timers */
+  readonly clock: FakeClock;
+}
+
+/**
+ * Create and initialize tab-safe timers that run on a fake clock
+ * @param options - Same options as `initTabSafeTimers`
+ * @param clock - Clock to drive the timers, a new one starting at `Date.now()` by default
+ */
+export function createTestTimers(options?: TabSafeTimersOptions, clock?: FakeClock): TestTabSafeTimers;